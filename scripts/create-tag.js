@@ -1,138 +1,791 @@
 #!/usr/bin/env node
 
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
 import readline from 'readline';
-import { promisify } from 'util';
+import { parseArgs } from 'util';
+import { loadConfig } from './lib/config.js';
+import {
+  findEnvironment,
+  getDeployedVersion,
+  getTagEnvironments,
+  getTagName,
+  getTagVersion,
+  isRollbackVersion,
+  listTags,
+  listTagsByDate
+} from './lib/environments.js';
+import {
+  bumpVersion,
+  compareVersions,
+  getReleaseVersion,
+  isPrerelease,
+  isValidVersion,
+  maxVersion,
+  parseVersion
+} from './lib/semver.js';
+import { findService, getServiceChanges, getServiceConfig } from './lib/services.js';
+import { describeSignature, getSigningSetup, getTagSignature } from './lib/signing.js';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: node scripts/create-tag.js [options]
 
-const question = promisify(rl.question).bind(rl);
+Options:
+  --env <name>         Target environment (qa, prod or one from worker-config.json)
+  --service <name>     Service to tag when worker-config.json lists services;
+                       tags are named <service>-<env>-<version>, e.g. api-prod-1.2.3
+  --version <x.y.z>    Version to tag (SemVer 2.0, e.g. 1.2.3 or 1.3.0-rc.1)
+  --bump <level>       Derive the version from the latest release tag:
+                       patch, minor, major or auto (from Conventional Commits)
+  --rc                 Tag a release candidate, <version>-rc.N, numbered after
+                       the existing candidates; without --version or --bump,
+                       the next candidate of the release under test
+  --hotfix             Version the tag as a patch of what production runs,
+                       whatever newer versions QA has; with --promote, check
+                       the promoted tag as a hotfix
+  --commit <sha>       Commit to tag: a SHA, branch or tag name (default: HEAD)
+  --promote <from:to>  Re-tag the commit of a <from> tag for <to> (e.g. qa:prod),
+                       using the latest <from> version unless --version is given
+  --skip-qa-check      Allow a tag on a commit that never carried a tag of the
+                       environment it is promoted from (e.g. prod without qa)
+  -y, --yes            Non-interactive: never prompt, fail on missing values
+  --dry-run            Run all checks and show the tag without creating it
+  --no-push            Create the tag locally without pushing it to origin
+  --changelog          Also prepend the release notes to CHANGELOG.md
+  --force              Create the tag even though it breaks the tag policy
+                       (recorded in the tag message with --force-reason)
+  --force-reason <text>  Why the policy is overridden (required with --force)
+  --replace            Move an existing tag of the same name to this commit and
+                       force-push it (--force never replaces a tag)
+  --sign               Sign the tag with your git signing key (GPG or SSH, from
+                       gpg.format and user.signingKey); always on when
+                       worker-config.json sets requireSignedTags
+  -h, --help           Show this help`;
 
-function exec(command) {
+let rl = null;
+
+function question(prompt) {
+  // Created lazily so that non-interactive runs never hold stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => {
+    rl.question(prompt, resolve);
+  });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        env: { type: 'string' },
+        service: { type: 'string' },
+        version: { type: 'string' },
+        bump: { type: 'string' },
+        rc: { type: 'boolean', default: false },
+        hotfix: { type: 'boolean', default: false },
+        commit: { type: 'string' },
+        promote: { type: 'string' },
+        'skip-qa-check': { type: 'boolean', default: false },
+        yes: { type: 'boolean', short: 'y', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        'no-push': { type: 'boolean', default: false },
+        changelog: { type: 'boolean', default: false },
+        sign: { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false },
+        'force-reason': { type: 'string' },
+        replace: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    return values;
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+// Use the flag value when given, otherwise prompt (unless running with --yes)
+async function ask(options, flag, prompt) {
+  if (options[flag] !== undefined) return options[flag];
+  if (options.yes) {
+    fail(`--${flag} is required when running non-interactively (--yes).`);
+  }
+  return question(prompt);
+}
+
+// git runs without a shell, so refs, versions and paths from flags reach it as they are
+function git(args, options = {}) {
   try {
-    return execSync(command, { encoding: 'utf8' }).trim();
+    return execFileSync('git', args, { encoding: 'utf8', ...options }).trim();
   } catch (error) {
-    console.error(`Error executing: ${command}`);
+    console.error(`Error executing: git ${args.join(' ')}`);
     console.error(error.message);
     process.exit(1);
   }
 }
 
-function execSilent(command) {
+function gitSilent(args) {
   try {
-    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
   } catch (error) {
     return null;
   }
 }
 
+// Versions an environment was tagged with; rollback tags only re-deploy one of them
+function getVersions(env) {
+  return listTags(env)
+    .map(tag => getTagVersion(env, tag))
+    .filter(version => isValidVersion(version) && !isRollbackVersion(version));
+}
+
+// Highest version by SemVer precedence, release candidates included
 function getLatestVersion(env) {
-  // Get all tags matching the environment pattern
-  const tags = execSilent(`git tag -l "${env}-*" --sort=-version:refname`);
-  if (!tags) return null;
-  
-  const tagList = tags.split('\n').filter(Boolean);
-  if (tagList.length === 0) return null;
-  
-  // Extract version from the first (latest) tag
-  const latestTag = tagList[0];
-  const versionMatch = latestTag.match(/^[^-]+-(.+)$/);
-  return versionMatch ? versionMatch[1] : null;
+  return maxVersion(getVersions(env));
+}
+
+// Highest version that is not a pre-release; bumps start from it
+function getLatestRelease(env) {
+  return maxVersion(getVersions(env).filter(version => !isPrerelease(version)));
+}
+
+// Candidates are numbered per release: qa-1.3.0-rc.1, qa-1.3.0-rc.2, ...
+function getNextCandidate(env, version) {
+  const parsed = parseVersion(version);
+  if (!parsed || parsed.prerelease.length > 0) {
+    fail(`--rc needs a release version like 1.3.0 to number candidates for, not "${version}".`);
+  }
+
+  const prefix = `${version}-rc.`;
+  const numbers = getVersions(env)
+    .filter(candidate => candidate.startsWith(prefix))
+    .map(candidate => Number(candidate.slice(prefix.length)))
+    .filter(Number.isInteger);
+
+  return `${prefix}${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+}
+
+/**
+ * A hotfix patches the version production runs now (after a rollback, the
+ * version rolled back to), past any patch already tagged on that line.
+ * Returns { production, baseTag, version }.
+ */
+function getHotfix(environments) {
+  const production = getTagEnvironments(environments).at(-1);
+  const tags = listTagsByDate(production);
+  if (tags.length === 0) {
+    fail(`No ${production.tagPrefix}* tags found: there is no ${production.label} version to hotfix.`);
+  }
+
+  const baseTag = tags[tags.length - 1].tag;
+  const running = parseVersion(getDeployedVersion(tags[tags.length - 1].version));
+  if (!running) {
+    fail(`Cannot hotfix ${baseTag}: its version is not a semantic version.`);
+  }
+
+  const line = getVersions(production).filter(version => {
+    const parsed = parseVersion(version);
+    return parsed.major === running.major && parsed.minor === running.minor && parsed.prerelease.length === 0;
+  });
+  const version = bumpVersion(maxVersion([`${running.major}.${running.minor}.${running.patch}`, ...line]), 'patch');
+  return { production, baseTag, version };
 }
 
-function showLatestVersions() {
+function parseCommit(record) {
+  const [hash, parents, subject, body = ''] = record.split('\x1f');
+
+  // Conventional Commits: "type(scope)!: description" and "BREAKING CHANGE:" footers
+  const conventional = subject.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+  const mergedPr = subject.match(/^Merge pull request #(\d+)/);
+  const squashedPr = subject.match(/\(#(\d+)\)$/);
+
+  return {
+    hash,
+    subject,
+    merge: parents.includes(' '),
+    type: conventional ? conventional[1].toLowerCase() : null,
+    scope: conventional ? conventional[2] || null : null,
+    breaking: Boolean(conventional && conventional[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    description: conventional ? conventional[4] : subject,
+    pr: mergedPr ? mergedPr[1] : squashedPr ? squashedPr[1] : null
+  };
+}
+
+// In a monorepo, only the commits that touch the service's directory count
+function getCommits(sinceTag, targetCommit, directory = null) {
+  // Fields separated by unit separators, commits by record separators, so bodies can be scanned too
+  const range = sinceTag ? `${sinceTag}..${targetCommit}` : targetCommit;
+  const paths = directory ? ['--', directory] : [];
+  const log = gitSilent(['log', '--format=%h%x1f%p%x1f%s%x1f%b%x1e', range, ...paths]);
+  if (!log) return [];
+
+  return log.split('\x1e').map(record => record.trim()).filter(Boolean).map(parseCommit);
+}
+
+function inferBump(commits) {
+  const counts = { breaking: 0, feat: 0, fix: 0, other: 0 };
+
+  for (const commit of commits) {
+    if (commit.breaking) {
+      counts.breaking++;
+    } else if (commit.type === 'feat') {
+      counts.feat++;
+    } else if (commit.type === 'fix') {
+      counts.fix++;
+    } else {
+      counts.other++;
+    }
+  }
+
+  let level = 'patch';
+  if (counts.breaking > 0) level = 'major';
+  else if (counts.feat > 0) level = 'minor';
+
+  return { level, counts };
+}
+
+const NOTE_SECTIONS = [
+  { title: 'Features', types: ['feat'] },
+  { title: 'Bug Fixes', types: ['fix'] },
+  { title: 'Performance', types: ['perf'] },
+  { title: 'Reverts', types: ['revert'] },
+  { title: 'Maintenance', types: ['refactor', 'build', 'ci', 'chore', 'deps', 'style', 'test', 'docs'] }
+];
+
+function generateReleaseNotes(commits) {
+  // Merge commits only contribute their PR number; the merged commits are listed themselves
+  const entries = commits.filter(commit => !commit.merge);
+  const pullRequests = [...new Set(commits.map(commit => commit.pr).filter(Boolean))]
+    .sort((a, b) => Number(a) - Number(b));
+
+  const formatEntry = (commit) => {
+    const scope = commit.scope ? `**${commit.scope}:** ` : '';
+    return `- ${scope}${commit.description} (${commit.hash})`;
+  };
+
+  const sections = [];
+  const breaking = entries.filter(commit => commit.breaking);
+  if (breaking.length > 0) {
+    sections.push(['### ⚠️ Breaking Changes', ...breaking.map(formatEntry)].join('\n'));
+  }
+
+  const listed = new Set();
+  for (const section of NOTE_SECTIONS) {
+    const matching = entries.filter(commit => section.types.includes(commit.type));
+    matching.forEach(commit => listed.add(commit));
+    if (matching.length > 0) {
+      sections.push([`### ${section.title}`, ...matching.map(formatEntry)].join('\n'));
+    }
+  }
+
+  const other = entries.filter(commit => !listed.has(commit));
+  if (other.length > 0) {
+    sections.push(['### Other Changes', ...other.map(formatEntry)].join('\n'));
+  }
+
+  if (pullRequests.length > 0) {
+    sections.push(['### Pull Requests', pullRequests.map(pr => `#${pr}`).join(', ')].join('\n'));
+  }
+
+  return sections.length > 0 ? sections.join('\n\n') : '_No changes._';
+}
+
+function writeChangelog(tagName, notes) {
+  const file = 'CHANGELOG.md';
+  const date = new Date().toISOString().split('T')[0];
+  const section = `## ${tagName} (${date})\n\n${notes}\n`;
+  const header = '# Changelog\n';
+
+  let existing = existsSync(file) ? readFileSync(file, 'utf8') : header;
+  if (!existing.startsWith(header)) {
+    existing = `${header}\n${existing}`;
+  }
+
+  // Newest section goes right below the header
+  const rest = existing.slice(header.length).replace(/^\n+/, '');
+  writeFileSync(file, `${header}\n${section}${rest ? `\n${rest}` : ''}`);
+}
+
+function suggestVersion(env, currentVersion, targetCommit, bump) {
+  let level = bump;
+
+  if (bump === 'auto') {
+    const sinceTag = currentVersion ? getTagName(env, currentVersion) : null;
+    const commits = getCommits(sinceTag, targetCommit, env.directory);
+    if (commits.length === 0) {
+      console.log(`ℹ️  No commits between ${sinceTag} and ${targetCommit}`);
+      return null;
+    }
+
+    const inferred = inferBump(commits);
+    const { breaking, feat, fix, other } = inferred.counts;
+    level = inferred.level;
+    console.log(`📈 ${commits.length} commit(s) since ${sinceTag || 'the first commit'}: ` +
+      `${breaking} breaking, ${feat} feat, ${fix} fix, ${other} other → ${level} bump`);
+  }
+
+  const next = bumpVersion(currentVersion || '0.0.0', level);
+  if (!next) {
+    fail(`Cannot bump current ${env.label} version "${currentVersion}": not a semantic version.`);
+  }
+  return next;
+}
+
+function showLatestVersions(environments) {
   console.log('\n📊 Latest versions by environment:');
   
-  const environments = ['dev', 'qa', 'prod'];
-  environments.forEach(env => {
+  getTagEnvironments(environments).forEach(env => {
     const version = getLatestVersion(env);
-    console.log(`  ${env.toUpperCase()}: ${version || 'No tags found'}`);
+    console.log(`  ${env.label}: ${version || 'No tags found'}`);
   });
   
   console.log('');
 }
 
+function resolveCommit(ref) {
+  return gitSilent(['rev-parse', '--short', '--verify', `${ref}^{commit}`]);
+}
+
+// --commit takes a SHA or a ref name (HEAD, a branch, a tag), never anything git could read as an option
+function isValidRef(ref) {
+  if (/^[0-9a-f]{4,40}$/i.test(ref)) return true;
+  return !ref.startsWith('-') && gitSilent(['check-ref-format', '--allow-onelevel', ref]) !== null;
+}
+
+function getTagsAtCommit(commit, env) {
+  return listTags(env, ['--points-at', commit]);
+}
+
+// The commit an existing tag points at, locally or else on origin; null when there is no such tag
+function getExistingTagCommit(tagName) {
+  const local = gitSilent(['rev-parse', '-q', '--short', '--verify', `refs/tags/${tagName}^{commit}`]);
+  if (local) return local;
+  if (!gitSilent(['remote', 'get-url', 'origin'])) return null;
+
+  // Annotated tags are listed twice; the peeled "^{}" line has the commit
+  const lines = (gitSilent(['ls-remote', '--tags', 'origin', `refs/tags/${tagName}`, `refs/tags/${tagName}^{}`]) || '')
+    .split('\n').filter(Boolean).map(line => line.split('\t'));
+  const line = lines.find(([, ref]) => ref.endsWith('^{}')) || lines[0];
+  return line ? line[0].slice(0, 7) : null;
+}
+
+function getTaggableEnvironment(environments, name) {
+  const env = findEnvironment(environments, name.toLowerCase());
+  if (!env || env.deployFrom !== 'tag') {
+    const names = getTagEnvironments(environments).map(candidate => `"${candidate.name}"`);
+    fail(`Invalid environment "${name}". Must be one of: ${names.join(', ')}.`);
+  }
+  return env;
+}
+
+/**
+ * In a monorepo, every tag belongs to one service. Only the services whose
+ * directory changed since their last tag of the target environment are
+ * offered; --service picks any of them. Returns the service's view of the
+ * config (see getServiceConfig), or the config itself without services.
+ */
+async function chooseService(options, config) {
+  if (config.services.length === 0) {
+    if (options.service !== undefined) {
+      fail('--service needs a "services" list in worker-config.json.');
+    }
+    return config;
+  }
+
+  // A promotion re-tags what the source environment already has, so every service qualifies
+  let changes = null;
+  if (!options.promote) {
+    const names = getTagEnvironments(config.environments).map(env => env.name).join('/');
+    const env = getTaggableEnvironment(config.environments, await ask(options, 'env', `Target environment (${names}): `));
+    options.env = env.name;
+
+    changes = getServiceChanges(config, env.name);
+    console.log(`\n📦 Changes since the last ${env.name} tag of each service:`);
+    for (const change of changes) {
+      const since = change.lastTag
+        ? `${change.commits ?? '?'} commit(s) since ${change.lastTag}`
+        : `never tagged for ${env.name}`;
+      console.log(`  ${change.changed ? '●' : '○'} ${change.service.name} (${change.service.directory}): ${since}`);
+    }
+  }
+
+  const offered = changes
+    ? changes.filter(change => change.changed).map(change => change.service)
+    : config.services;
+  if (options.service === undefined && offered.length === 0) {
+    fail(`No service changed since its last ${options.env} tag. Pass --service <name> to tag one anyway.`);
+  }
+
+  const name = await ask(options, 'service', `\nService (${offered.map(service => service.name).join('/')}): `);
+  const service = findService(config.services, name.trim().toLowerCase());
+  if (!service) {
+    const names = config.services.map(candidate => `"${candidate.name}"`);
+    fail(`Invalid service "${name}". Must be one of: ${names.join(', ')}.`);
+  }
+  if (!offered.includes(service)) {
+    const change = changes.find(candidate => candidate.service === service);
+    console.log(`⚠️  ${service.name} has not changed since ${change.lastTag}; tagging it anyway`);
+  }
+  console.log(`📦 Service: ${service.name}`);
+
+  return getServiceConfig(config, service);
+}
+
+async function chooseTarget(options, environments) {
+  // Ask for environment
+  const names = getTagEnvironments(environments).map(env => env.name).join('/');
+  const env = getTaggableEnvironment(environments, await ask(options, 'env', `Target environment (${names}): `));
+
+  // Show latest versions before asking for version
+  showLatestVersions(environments);
+  
+  // Show the latest version for the selected environment specifically
+  const currentVersion = getLatestVersion(env);
+  const currentRelease = getLatestRelease(env);
+  if (currentVersion) {
+    console.log(`💡 Current ${env.label} version: ${currentVersion}\n`);
+  }
+
+  // Show recent commits
+  console.log('📝 Recent commits:');
+  console.log(git(['log', '--oneline', '-10', ...(env.directory ? ['--', env.directory] : [])]));
+
+  // Ask for commit SHA (HEAD when running non-interactively without --commit)
+  const commitSha = options.yes
+    ? options.commit
+    : await ask(options, 'commit', '\nCommit SHA to tag (press Enter for HEAD): ');
+  const targetCommit = commitSha || 'HEAD';
+  if (!isValidRef(targetCommit)) {
+    fail(`Invalid commit "${targetCommit}". Use a commit SHA or a branch or tag name.`);
+  }
+  if (!resolveCommit(targetCommit)) {
+    fail(`Commit not found: ${targetCommit}`);
+  }
+
+  // Work out the next version from the latest release when --bump is given,
+  // otherwise suggest one from the commit history
+  let version;
+  let hotfix = null;
+  if (options.hotfix) {
+    hotfix = getHotfix(environments);
+    version = hotfix.version;
+    console.log(`🩹 Hotfix for ${hotfix.baseTag}: ${version}`);
+  } else if (options.bump) {
+    version = suggestVersion(env, currentRelease, targetCommit, options.bump);
+    if (!version) {
+      fail('Nothing to release: use --version or a fixed --bump level to tag anyway.');
+    }
+    console.log(`🔢 Next ${env.label} version: ${version}`);
+  } else if (options.version !== undefined) {
+    version = options.version;
+  } else if (options.rc && isPrerelease(currentVersion)) {
+    // Another candidate for the release QA is already testing
+    version = getReleaseVersion(currentVersion);
+  } else if (options.yes) {
+    fail('--version or --bump is required when running non-interactively (--yes).');
+  } else {
+    const suggested = suggestVersion(env, currentRelease, targetCommit, 'auto');
+    const answer = suggested
+      ? await question(`\nVersion (press Enter for ${suggested}): `)
+      : await question('\nVersion (e.g., 1.2.3): ');
+    version = answer || suggested;
+  }
+
+  if (options.rc) {
+    version = getNextCandidate(env, version);
+    console.log(`🧪 Release candidate: ${version}`);
+  }
+
+  return { env, version, targetCommit, hotfix };
+}
+
+function resolvePromotion(options, environments) {
+  const match = options.promote.toLowerCase().match(/^([a-z0-9-]+):([a-z0-9-]+)$/);
+  if (!match || match[1] === match[2]) {
+    fail('Invalid --promote value. Use "<from>:<to>", e.g. "qa:prod".');
+  }
+  if (options.env || options.commit || options.bump || options.rc) {
+    fail('--promote cannot be combined with --env, --commit, --bump or --rc.');
+  }
+
+  const from = getTaggableEnvironment(environments, match[1]);
+  const env = getTaggableEnvironment(environments, match[2]);
+  showLatestVersions(environments);
+
+  // The promoted tag keeps the source version and sits on the source commit;
+  // a release candidate is promoted as its release (qa-1.3.0-rc.2 → prod-1.3.0)
+  const hotfix = options.hotfix ? getHotfix(environments) : null;
+  let sourceVersion = options.version || (hotfix ? hotfix.version : getLatestVersion(from));
+  if (!sourceVersion) {
+    fail(`No ${from.tagPrefix}* tags found to promote.`);
+  }
+  if (!resolveCommit(getTagName(from, sourceVersion)) && isValidVersion(sourceVersion) && !isPrerelease(sourceVersion)) {
+    // --version 1.3.0 picks the last candidate when 1.3.0 itself was never tagged
+    sourceVersion = maxVersion(getVersions(from).filter(candidate => getReleaseVersion(candidate) === sourceVersion)) || sourceVersion;
+  }
+
+  const sourceTag = getTagName(from, sourceVersion);
+  if (!resolveCommit(sourceTag)) {
+    fail(`Tag not found: ${sourceTag}`);
+  }
+  const version = getReleaseVersion(sourceVersion) || sourceVersion;
+  const targetCommit = git(['rev-parse', `${sourceTag}^{commit}`]);
+  console.log(`⏫ Promoting ${sourceTag} (${resolveCommit(targetCommit)}) to ${env.label}`);
+
+  return { env, version, targetCommit, sourceTag, hotfix };
+}
+
+/**
+ * Runs the tagPolicy checks from worker-config.json and returns one
+ * { rule, message } per violation.
+ */
+function checkTagPolicy(policy, { env, version, tagName, targetCommit, environments, hotfix }) {
+  const violations = [];
+  const shortCommit = resolveCommit(targetCommit);
+  const isAncestor = (ref) => gitSilent(['merge-base', '--is-ancestor', ref, targetCommit]) !== null;
+
+  // Hotfixes are built on what production runs, usually on a branch of their own
+  if (policy.requireAncestry && hotfix) {
+    if (!isAncestor(`${hotfix.baseTag}^{commit}`)) {
+      violations.push({ rule: 'ancestry', message: `Commit ${shortCommit} does not build on ${hotfix.baseTag}; a hotfix must contain what ${hotfix.production.label} runs` });
+    }
+  } else if (policy.requireAncestry) {
+    const refs = [policy.branch, `origin/${policy.branch}`].filter(ref => resolveCommit(ref));
+    if (refs.length === 0) {
+      violations.push({ rule: 'ancestry', message: `Branch ${policy.branch} does not exist locally or on origin, so ${shortCommit} cannot be checked` });
+    } else if (!refs.some(ref => gitSilent(['merge-base', '--is-ancestor', targetCommit, ref]) !== null)) {
+      violations.push({ rule: 'ancestry', message: `Commit ${shortCommit} is not on ${policy.branch}; only commits merged into ${policy.branch} can be deployed` });
+    }
+  }
+
+  if (policy.preventDowngrade) {
+    // A hotfix only has to be the newest of its major.minor line
+    const parsed = parseVersion(version);
+    const versions = hotfix
+      ? getVersions(env).filter(candidate => getReleaseVersion(candidate).startsWith(`${parsed.major}.${parsed.minor}.`))
+      : getVersions(env);
+    const highest = maxVersion(versions);
+    if (highest && compareVersions(version, highest) <= 0) {
+      violations.push({ rule: 'downgrade', message: `${version} is not greater than ${highest}, the highest ${env.label} version${hotfix ? ' of that line' : ''} (use rollback.js to go back)` });
+    }
+  }
+
+  // Candidates count for the release they lead to: qa 1.3.0-rc.2 allows prod 1.3.0
+  const source = policy.capAtPromoteFrom && env.promoteFrom && findEnvironment(environments, env.promoteFrom);
+  if (source && source.deployFrom === 'tag') {
+    const ceiling = getLatestVersion(source);
+    if (!ceiling) {
+      violations.push({ rule: 'promotion', message: `${source.label} has no tags yet, so no ${env.label} version can be released` });
+    } else if (compareVersions(getReleaseVersion(version), getReleaseVersion(ceiling)) > 0) {
+      violations.push({ rule: 'promotion', message: `${version} is above ${ceiling}, the highest ${source.label} version` });
+    }
+  }
+
+  if (policy.preventDuplicates) {
+    if (gitSilent(['rev-parse', '-q', '--verify', `refs/tags/${tagName}`])) {
+      violations.push({ rule: 'duplicate', message: `Tag ${tagName} already exists locally` });
+    } else if (gitSilent(['remote', 'get-url', 'origin'])) {
+      const remote = gitSilent(['ls-remote', '--tags', 'origin', `refs/tags/${tagName}`]);
+      if (remote === null) {
+        console.log(`⚠️  Could not check origin for an existing ${tagName}`);
+      } else if (remote) {
+        violations.push({ rule: 'duplicate', message: `Tag ${tagName} already exists on origin` });
+      }
+    }
+  }
+
+  return violations;
+}
+
 async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // With --promote, --version picks the tag to promote, so it goes with --hotfix
+  const versionSources = [options.version !== undefined && !options.promote, Boolean(options.bump), options.hotfix];
+  if (versionSources.filter(Boolean).length > 1) {
+    fail('Use only one of --version, --bump and --hotfix.');
+  }
+  if (options['force-reason'] !== undefined && !options.force) {
+    fail('--force-reason requires --force.');
+  }
+  if (options.bump && !['patch', 'minor', 'major', 'auto'].includes(options.bump)) {
+    fail('Invalid --bump level. Must be "patch", "minor", "major" or "auto".');
+  }
+  if (options.version !== undefined && !isValidVersion(options.version)) {
+    fail(`Invalid version "${options.version}". Use a SemVer 2.0 version (e.g., 1.2.3 or 1.3.0-rc.1).`);
+  }
+
   console.log('🏷️  Create Deployment Tag\n');
 
   // Check for uncommitted changes
-  const status = exec('git status --porcelain');
+  const status = git(['status', '--porcelain']);
   if (status) {
-    console.error('❌ You have uncommitted changes. Please commit or stash them first.');
-    process.exit(1);
+    fail('You have uncommitted changes. Please commit or stash them first.');
   }
 
   // Get current branch
-  const currentBranch = exec('git rev-parse --abbrev-ref HEAD');
+  const currentBranch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
   console.log(`📍 Current branch: ${currentBranch}`);
 
-  // Ask for environment
-  const env = await question('Target environment (qa/prod): ');
-  if (!['qa', 'prod'].includes(env.toLowerCase())) {
-    console.error('❌ Invalid environment. Must be "qa" or "prod".');
-    process.exit(1);
+  const config = await chooseService(options, loadConfig());
+  const { environments } = config;
+  const { env, version, targetCommit, sourceTag, hotfix = null } = options.promote
+    ? resolvePromotion(options, environments)
+    : await chooseTarget(options, environments);
+
+  if (!isValidVersion(version)) {
+    fail(`Invalid version "${version}". Use a SemVer 2.0 version (e.g., 1.2.3 or 1.3.0-rc.1).`);
   }
 
-  // Show latest versions before asking for version
-  showLatestVersions();
-  
-  // Show the latest version for the selected environment specifically
-  const currentVersion = getLatestVersion(env.toLowerCase());
-  if (currentVersion) {
-    console.log(`💡 Current ${env.toUpperCase()} version: ${currentVersion}\n`);
+  // Only ship what the previous environment has seen (e.g. prod only after qa)
+  const shortCommit = resolveCommit(targetCommit);
+  const gate = env.promoteFrom && findEnvironment(environments, env.promoteFrom);
+  if (gate && gate.deployFrom === 'tag') {
+    const gateTags = getTagsAtCommit(targetCommit, gate);
+    if (gateTags.length > 0) {
+      console.log(`✅ Commit ${shortCommit} was deployed to ${gate.label} as: ${gateTags.join(', ')}`);
+    } else if (options['skip-qa-check']) {
+      console.log(`⚠️  Commit ${shortCommit} never carried a ${gate.tagPrefix}* tag (--skip-qa-check given)`);
+    } else {
+      fail(`Commit ${shortCommit} never carried a ${gate.tagPrefix}* tag. Deploy it to ${gate.label} first, ` +
+        `promote an existing tag with --promote ${gate.name}:${env.name}, or pass --skip-qa-check.`);
+    }
   }
 
-  // Ask for version
-  const version = await question('Version (e.g., 1.2.3): ');
-  if (!/^\d+\.\d+\.\d+/.test(version)) {
-    console.error('❌ Invalid version format. Use semantic versioning (e.g., 1.2.3).');
-    process.exit(1);
+  // Signing problems surface before the summary, not after the confirmation
+  const sign = options.sign || config.requireSignedTags;
+  const signing = sign ? getSigningSetup() : null;
+  if (signing && !signing.ready) {
+    const policy = config.requireSignedTags ? ' worker-config.json requires signed tags (requireSignedTags).' : '';
+    fail(`Cannot sign the tag: ${signing.problem}.${policy}\n   💡 ${signing.fix}`);
   }
 
-  // Show recent commits
-  console.log('\n📝 Recent commits:');
-  console.log(exec('git log --oneline -10'));
+  // Create tag name
+  const tagName = getTagName(env, version);
+  const deployment = env.service ? `${env.service} to ${env.name}` : `to ${env.name}`;
+  const tagSubject = sourceTag
+    ? `Deploy ${deployment} - version ${version} (promoted from ${sourceTag})`
+    : `Deploy ${deployment} - version ${version}`;
 
-  // Ask for commit SHA
-  const commitSha = await question('\nCommit SHA to tag (press Enter for HEAD): ');
-  const targetCommit = commitSha || 'HEAD';
+  // Replacing a tag is asked for by name, so it is not a policy violation to override
+  const replacedCommit = options.replace ? getExistingTagCommit(tagName) : null;
+  if (options.replace && !replacedCommit) {
+    fail(`--replace given, but ${tagName} does not exist locally or on origin.`);
+  }
 
-  // Create tag name
-  const tagName = `${env.toLowerCase()}-${version}`;
+  const violations = checkTagPolicy(config.tagPolicy, { env, version, tagName, targetCommit, environments, hotfix })
+    .filter(violation => !(replacedCommit && violation.rule === 'duplicate'));
+  let overrideReason = null;
+  if (violations.length === 0) {
+    console.log('🛡️  Tag policy: all checks passed');
+  } else {
+    console.log('\n🛡️  Tag policy violations:');
+    violations.forEach(violation => console.log(`  ❌ ${violation.message}`));
+    if (violations.some(violation => violation.rule === 'duplicate')) {
+      fail(`${tagName} already exists and --force does not replace it. Pass --replace to move it to ${shortCommit}.`);
+    }
+    if (!options.force) {
+      fail('Tag policy not met. Fix the problems above, or override with --force --force-reason "<why>".');
+    }
+    overrideReason = (await ask(options, 'force-reason', 'Reason for overriding the tag policy: ')).trim();
+    if (!overrideReason) {
+      fail('A reason is required to override the tag policy.');
+    }
+  }
+  const replaceExisting = Boolean(replacedCommit);
+
+  // Release notes cover everything since the previous tag for this environment
+  const previousVersion = getLatestVersion(env);
+  const previousTag = previousVersion ? getTagName(env, previousVersion) : null;
+  const notes = generateReleaseNotes(getCommits(previousTag, targetCommit, env.directory));
   
   // Confirm
   console.log(`\n📋 Summary:`);
-  console.log(`  Environment: ${env}`);
+  if (env.service) {
+    console.log(`  Service: ${env.service}`);
+  }
+  console.log(`  Environment: ${env.name}`);
   console.log(`  Version: ${version}`);
   console.log(`  Tag: ${tagName}`);
-  console.log(`  Commit: ${targetCommit} (${exec(`git rev-parse --short ${targetCommit}`)})`);
+  if (sourceTag) {
+    console.log(`  Promoted from: ${sourceTag}`);
+  }
+  if (hotfix) {
+    console.log(`  Hotfix for: ${hotfix.baseTag}`);
+  }
+  console.log(`  Commit: ${sourceTag || targetCommit} (${shortCommit})`);
+  if (replacedCommit) {
+    console.log(`  Replaces existing tag ${replacedCommit} → ${shortCommit}`);
+  }
+  console.log(`  Signed: ${signing ? `yes, with ${signing.label}` : 'no'}`);
+  if (overrideReason) {
+    console.log(`  Policy override: ${violations.map(violation => violation.rule).join(', ')} (${overrideReason})`);
+  }
+  console.log(`  Push: ${options['no-push'] ? 'no (local only)' : 'origin'}`);
+
+  console.log(`\n📰 Release notes (since ${previousTag || 'the first commit'}):\n`);
+  console.log(notes);
+
+  if (options['dry-run']) {
+    console.log('\n🔍 Dry run: no tag was created.');
+    return;
+  }
   
-  const confirm = await question('\nCreate this tag? (y/n): ');
-  if (confirm.toLowerCase() !== 'y') {
-    console.log('❌ Tag creation cancelled.');
-    process.exit(0);
+  if (!options.yes) {
+    const confirm = await question('\nCreate this tag? (y/n): ');
+    if (confirm.toLowerCase() !== 'y') {
+      console.log('❌ Tag creation cancelled.');
+      process.exit(0);
+    }
   }
 
   // Create and push tag
   try {
-    exec(`git tag -a "${tagName}" "${targetCommit}" -m "Deploy to ${env} - version ${version}"`);
-    exec(`git push origin "${tagName}"`);
-    
-    console.log(`\n✅ Tag created and pushed: ${tagName}`);
-    console.log('🚀 Deployment will start automatically via GitHub Actions.');
+    // Overrides are recorded in the tag itself, next to the tagger
+    const audit = overrideReason
+      ? `\n\n${violations.map(violation => `Policy-Override: ${violation.rule}: ${violation.message}`).join('\n')}\nPolicy-Override-Reason: ${overrideReason}`
+      : '';
+    // Notes are markdown, so keep "#" headings instead of stripping them as comments
+    git(['tag', sign ? '-s' : '-a', ...(replaceExisting ? ['-f'] : []), tagName, targetCommit, '--cleanup=whitespace', '-F', '-'], {
+      input: `${tagSubject}\n\n${notes}${audit}\n`
+    });
+    if (sign) {
+      console.log(`🔏 Signature: ${describeSignature(getTagSignature(tagName))}`);
+    }
+
+    if (options.changelog) {
+      writeChangelog(tagName, notes);
+      console.log('📝 Release notes added to CHANGELOG.md (remember to commit it)');
+    }
+
+    if (options['no-push']) {
+      console.log(`\n✅ Tag created locally: ${tagName}`);
+      console.log(`💡 Push it when ready: git push${replaceExisting ? ' --force' : ''} origin "${tagName}"`);
+    } else {
+      git(['push', ...(replaceExisting ? ['--force'] : []), 'origin', tagName]);
+      console.log(`\n✅ Tag created and pushed: ${tagName}`);
+      console.log('🚀 Deployment will start automatically via GitHub Actions.');
+    }
     
     // Show the tag info
     console.log('\n📊 Tag information:');
-    console.log(exec(`git show ${tagName} --no-patch`));
+    console.log(git(['show', tagName, '--no-patch']));
   } catch (error) {
-    console.error('❌ Failed to create or push tag:', error.message);
-    process.exit(1);
+    fail(`Failed to create or push tag: ${error.message}`);
   }
-
-  rl.close();
 }
 
-main().catch(console.error);
\ No newline at end of file
+main()
+  .catch((error) => fail(error.message))
+  .finally(() => rl?.close());
\ No newline at end of file
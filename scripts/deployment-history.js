@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+import { execFileSync } from 'child_process';
+import { parseArgs } from 'util';
+import { loadConfig } from './lib/config.js';
+import { findEnvironment, getDeployedVersion, getTagEnvironments, isRollbackVersion, listTagsByDate } from './lib/environments.js';
+import { compareVersions, parseVersion } from './lib/semver.js';
+import { getServiceScope } from './lib/services.js';
+
+const USAGE = `Usage: node scripts/deployment-history.js [options]
+
+Options:
+  --service <name>     Service to report on, when worker-config.json lists
+                       services (its <service>-<env>-* tags)
+  --since <date>       Only count deployments on or after this date (YYYY-MM-DD or ISO)
+  --until <date>       Only count deployments on or before this date
+  --format <format>    Output format: text (default) or json
+  -h, --help           Show this help`;
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseDate(value, endOfDay) {
+  if (value === undefined) return null;
+
+  // A bare date covers the whole day, so --until 2025-01-31 includes that day
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time)) {
+    fail(`Invalid date "${value}". Use YYYY-MM-DD or an ISO 8601 timestamp.`);
+  }
+  return dateOnly && endOfDay ? time + 24 * HOUR - 1 : time;
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        service: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        format: { type: 'string', default: 'text' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (!['text', 'json'].includes(values.format)) {
+      throw new Error(`Invalid --format "${values.format}". Must be one of: text, json`);
+    }
+    return {
+      ...values,
+      since: parseDate(values.since, false),
+      until: parseDate(values.until, true)
+    };
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+function git(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isSameLine(a, b) {
+  const [left, right] = [parseVersion(a), parseVersion(b)];
+  return Boolean(left && right && left.major === right.major && left.minor === right.minor);
+}
+
+function getDeployments(env) {
+  // Oldest first: the order in which the tags were pushed is the deployment order
+  const deployments = [];
+  for (const { tag, version, date, time } of listTagsByDate(env)) {
+    const deployed = getDeployedVersion(version);
+    const previous = deployments[deployments.length - 1];
+
+    // A rollback is either an explicit rollback tag or a version lower than the one it
+    // replaced on the same major.minor line; a hotfix of an older line (0.1.1 after
+    // 1.0.0-rc.2) is a new deployment, not a step back
+    const rollbackTag = isRollbackVersion(version);
+    const regression = Boolean(previous && isSameLine(deployed, previous.deployed) &&
+      compareVersions(deployed, previous.deployed) < 0);
+
+    deployments.push({
+      tag,
+      version,
+      deployed,
+      date,
+      time,
+      commit: git(['rev-list', '-n', '1', tag]),
+      rollback: rollbackTag || regression,
+      rollbackReason: rollbackTag ? 'rollback tag' : regression ? `version regression from ${previous.version}` : null
+    });
+  }
+
+  return deployments;
+}
+
+function getCommitTimes(commit, previousCommit, directory) {
+  // Commit timestamps of everything a deployment shipped since the previous one; in a monorepo, of its service
+  const log = git(['log', '--format=%cI', `${previousCommit}..${commit}`, ...(directory ? ['--', directory] : [])]);
+  return log ? log.split('\n').filter(Boolean).map(date => Date.parse(date)) : [];
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Durations are in milliseconds; dashboards get hours with two decimals
+function roundHours(ms) {
+  return ms === null ? null : Math.round((ms / HOUR) * 100) / 100;
+}
+
+function summarize(durations) {
+  const mean = durations.length > 0 ? durations.reduce((sum, value) => sum + value, 0) / durations.length : null;
+
+  return {
+    samples: durations.length,
+    medianHours: roundHours(median(durations)),
+    meanHours: roundHours(mean)
+  };
+}
+
+function computeHistory(options, environments) {
+  const inRange = (deployment) =>
+    (options.since === null || deployment.time >= options.since) &&
+    (options.until === null || deployment.time <= options.until);
+
+  const tagEnvironments = getTagEnvironments(environments);
+  const all = Object.fromEntries(tagEnvironments.map(env => [env.name, getDeployments(env)]));
+
+  const deployed = Object.values(all).flat().filter(inRange);
+  const start = options.since ?? Math.min(...deployed.map(deployment => deployment.time));
+  const end = options.until ?? Date.now();
+  const weeks = deployed.length > 0 ? Math.max((end - start) / WEEK, 1 / 7) : null;
+
+  const history = {};
+  const metrics = { deploymentFrequency: {}, leadTimeForChanges: {}, promotion: {}, rollbackRate: {} };
+
+  for (const env of tagEnvironments) {
+    // Promotion time is measured from the first tag of the source environment on the same commit
+    const source = env.promoteFrom && findEnvironment(environments, env.promoteFrom);
+    const sourceByCommit = new Map();
+    if (source && source.deployFrom === 'tag') {
+      for (const deployment of all[source.name]) {
+        if (!sourceByCommit.has(deployment.commit)) {
+          sourceByCommit.set(deployment.commit, deployment);
+        }
+      }
+    }
+
+    const leadTimes = [];
+    const promotionTimes = [];
+    // A rollback ships nothing new, so the baseline stays the last forward deployment
+    let previousCommit = null;
+    all[env.name].forEach((deployment) => {
+      const promoted = sourceByCommit.get(deployment.commit);
+
+      deployment.promotedFrom = promoted ? promoted.tag : null;
+      deployment.promotionMs = promoted && !deployment.rollback ? deployment.time - promoted.time : null;
+
+      // The first tag has no baseline, so its lead time would span the whole history
+      const commitTimes = previousCommit && !deployment.rollback ? getCommitTimes(deployment.commit, previousCommit, env.directory) : [];
+      deployment.commits = commitTimes.length;
+      if (!deployment.rollback) {
+        previousCommit = deployment.commit;
+      }
+
+      if (inRange(deployment)) {
+        leadTimes.push(...commitTimes.map(time => deployment.time - time));
+        if (deployment.promotionMs !== null) {
+          promotionTimes.push(deployment.promotionMs);
+        }
+      }
+    });
+
+    const deployments = all[env.name].filter(inRange);
+    history[env.name] = deployments.map(deployment => ({
+      tag: deployment.tag,
+      version: deployment.version,
+      date: deployment.date,
+      commit: deployment.commit,
+      commits: deployment.commits,
+      rollback: deployment.rollback,
+      rollbackReason: deployment.rollbackReason,
+      promotedFrom: deployment.promotedFrom,
+      promotionHours: roundHours(deployment.promotionMs)
+    }));
+
+    const rollbacks = deployments.filter(deployment => deployment.rollback).length;
+    metrics.deploymentFrequency[env.name] = {
+      deployments: deployments.length,
+      perWeek: weeks ? Math.round((deployments.length / weeks) * 100) / 100 : 0
+    };
+    metrics.leadTimeForChanges[env.name] = summarize(leadTimes);
+    if (sourceByCommit.size > 0) {
+      metrics.promotion[env.name] = { from: source.name, ...summarize(promotionTimes) };
+    }
+    metrics.rollbackRate[env.name] = {
+      rollbacks,
+      deployments: deployments.length,
+      rate: deployments.length > 0 ? Math.round((rollbacks / deployments.length) * 10000) / 10000 : null
+    };
+  }
+
+  return {
+    range: {
+      since: Number.isFinite(start) ? new Date(start).toISOString() : null,
+      until: new Date(end).toISOString()
+    },
+    environments: history,
+    metrics
+  };
+}
+
+function formatHours(hours) {
+  if (hours === null) return 'n/a';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+function renderText(history, environments) {
+  console.log(`📜 Deployment History${history.service ? ` of ${history.service}` : ''}\n`);
+
+  const tagEnvironments = getTagEnvironments(environments);
+  for (const env of tagEnvironments) {
+    const deployments = history.environments[env.name];
+    console.log(`## ${env.label} (${deployments.length} deployment${deployments.length === 1 ? '' : 's'})`);
+
+    if (deployments.length === 0) {
+      console.log(`  No tags found matching pattern: ${env.tagPrefix}*`);
+    }
+
+    for (const deployment of deployments) {
+      const details = [];
+      if (deployment.rollback) details.push(`↩️  ${deployment.rollbackReason}`);
+      if (deployment.promotedFrom && deployment.promotionHours !== null) {
+        details.push(`from ${deployment.promotedFrom} after ${formatHours(deployment.promotionHours)}`);
+      }
+      if (deployment.commits) details.push(`${deployment.commits} commit(s)`);
+
+      const date = deployment.date.replace('T', ' ').slice(0, 16);
+      const commit = deployment.commit ? deployment.commit.substring(0, 7) : 'unknown';
+      console.log(`  ${date}  ${deployment.tag.padEnd(24)} ${commit}  ${details.join(', ')}`.trimEnd());
+    }
+    console.log('');
+  }
+
+  const { deploymentFrequency, leadTimeForChanges, promotion, rollbackRate } = history.metrics;
+  const since = history.range.since ? history.range.since.slice(0, 10) : 'start';
+  console.log(`📈 Metrics (${since} → ${history.range.until.slice(0, 10)})`);
+
+  for (const env of tagEnvironments) {
+    const frequency = deploymentFrequency[env.name];
+    const leadTime = leadTimeForChanges[env.name];
+    const rollback = rollbackRate[env.name];
+
+    console.log(`  ${env.label}:`);
+    console.log(`    Deployment frequency: ${frequency.perWeek}/week (${frequency.deployments} deployment(s))`);
+    console.log(`    Lead time for changes: median ${formatHours(leadTime.medianHours)}, ` +
+      `mean ${formatHours(leadTime.meanHours)} over ${leadTime.samples} commit(s)`);
+    if (promotion[env.name]) {
+      const { from, medianHours, meanHours, samples } = promotion[env.name];
+      console.log(`    Promotion from ${from}: median ${formatHours(medianHours)}, ` +
+        `mean ${formatHours(meanHours)} over ${samples} promotion(s)`);
+    }
+    console.log(`    Rollback rate: ${rollback.rollbacks}/${rollback.deployments}` +
+      (rollback.rate === null ? '' : ` (${(rollback.rate * 100).toFixed(1)}%)`));
+  }
+}
+
+function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { environments, service } = getServiceScope(loadConfig(), options.service);
+  const history = computeHistory(options, environments);
+  if (service) {
+    history.service = service.name;
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(history, null, 2));
+  } else {
+    renderText(history, environments);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  fail(error.message);
+}
@@ -1,7 +1,56 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process';
-import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { CloudflareClient, CloudflareNotFoundError, getApiToken } from './lib/cloudflare.js';
+import { CONFIG_FILE, loadConfig } from './lib/config.js';
+import { getTagVersion, getWorkerName, listTagsByDate } from './lib/environments.js';
+import { describeSplit, getVersionSplit } from './lib/rollout.js';
+import { findService, getServiceConfig, getServiceConfigs } from './lib/services.js';
+import { describeSignature, getTagSignature } from './lib/signing.js';
+import { resolveEnvironmentUrls } from './lib/urls.js';
+
+const USAGE = `Usage: node scripts/deployment-status.js [options]
+
+Options:
+  --format <format>    Output format: text (default), json, markdown or table
+  --service <name>     Only show one of the services listed in worker-config.json
+  --notes              Include the release notes of each deployed tag
+  --probe              Request each environment's health URL and compare the
+                       running version with the latest tag
+  --versions           Show how each environment's traffic is split between
+                       Worker versions, e.g. during a rollout (needs API access)
+  --drift              Show the commits each environment is ahead of or behind
+                       the one it is promoted to (dev → qa → prod)
+  --probe-url <url>    Base URL to probe instead of the environment URL; may
+                       contain {environment} (e.g. http://localhost:8787/{environment})
+  -h, --help           Show this help`;
+
+const FORMATS = ['text', 'json', 'markdown', 'table'];
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        format: { type: 'string', default: 'text' },
+        service: { type: 'string' },
+        notes: { type: 'boolean', default: false },
+        probe: { type: 'boolean', default: false },
+        drift: { type: 'boolean', default: false },
+        versions: { type: 'boolean', default: false },
+        'probe-url': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`Invalid --format "${values.format}". Must be one of: ${FORMATS.join(', ')}`);
+    }
+    return values;
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+}
 
 function exec(command) {
   try {
@@ -11,111 +60,550 @@ function exec(command) {
   }
 }
 
-function getLatestTag(pattern) {
-  const tags = exec(`git tag -l "${pattern}" --sort=-version:refname`);
-  return tags ? tags.split('\n')[0] : null;
+function getLatestTag(env) {
+  // Most recently created tag, so rollback tags (prod-1.2.3-rollback.1) count as deployed
+  const tags = listTagsByDate(env);
+  return tags.length > 0 ? tags[tags.length - 1].tag : null;
 }
 
 function getTagInfo(tag) {
   if (!tag) return null;
   
   const commit = exec(`git rev-list -n 1 ${tag}`);
-  const date = exec(`git log -1 --format=%ai ${tag}`);
+  const date = exec(`git log -1 --format=%aI ${tag}`);
   const author = exec(`git log -1 --format=%an ${tag}`);
   const message = exec(`git tag -l --format='%(contents:subject)' ${tag}`);
+  const notes = exec(`git tag -l --format='%(contents:body)' ${tag}`);
   
   return {
     tag,
-    commit: commit ? commit.substring(0, 7) : 'unknown',
+    commit: commit || null,
+    shortCommit: commit ? commit.substring(0, 7) : 'unknown',
     date: date || 'unknown',
     author: author || 'unknown',
-    message: message || 'No message'
+    message: message || 'No message',
+    notes: notes || null
   };
 }
 
-function getConfig() {
-  // Try to load from worker-config.json first
+function getBranchInfo(branch) {
+  const commit = exec(`git rev-parse --verify ${branch}`);
+  if (!commit) return null;
+
+  return {
+    tag: null,
+    commit,
+    shortCommit: commit.substring(0, 7),
+    date: exec(`git log -1 --format=%aI ${branch}`) || 'unknown',
+    author: exec(`git log -1 --format=%an ${branch}`) || 'unknown',
+    message: exec(`git log -1 --format=%s ${branch}`) || 'No message',
+    notes: null
+  };
+}
+
+function getRepoUrl() {
+  const repoUrl = exec('git config --get remote.origin.url');
+  const match = repoUrl && repoUrl.match(/github\.com[:/](.+?)(\.git)?$/);
+  return match ? `https://github.com/${match[1]}` : null;
+}
+
+function parseReportedVersion(value) {
+  // A bare hex string is a commit SHA, anything else is treated as a version
+  const text = String(value).trim();
+  return /^[0-9a-f]{7,40}$/i.test(text) ? { commit: text, version: null } : { commit: null, version: text };
+}
+
+async function fetchWithTiming(url, timeoutMs) {
+  const started = Date.now();
+  const response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+  return { response, latencyMs: Date.now() - started };
+}
+
+/**
+ * Reads the running version from the version endpoint. A failing endpoint says
+ * nothing about health, so it only sets `result.versionError` and the running
+ * version stays unknown.
+ */
+async function fetchReportedVersion(url, timeoutMs, result) {
   try {
-    const config = JSON.parse(readFileSync('worker-config.json', 'utf8'));
-    return {
-      serviceName: config.serviceName,
-      workersDomain: config.workersDomain
-    };
-  } catch (error) {
-    // Fall back to package.json name
+    const { response } = await fetchWithTiming(url, timeoutMs);
+    const body = await response.text();
+    if (!response.ok) {
+      result.versionError = `HTTP ${response.status}`;
+      return null;
+    }
     try {
-      const pkg = JSON.parse(readFileSync('package.json', 'utf8'));
+      const json = JSON.parse(body);
       return {
-        serviceName: pkg.name || 'your-service',
-        workersDomain: 'your-domain.workers.dev'
+        commit: json.commit || json.sha || null,
+        version: json.version || json.tag || null
       };
     } catch (error) {
+      return parseReportedVersion(body);
+    }
+  } catch (error) {
+    result.versionError = error.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : error.cause?.message || error.message;
+    return null;
+  }
+}
+
+async function probeEnvironment(env, probeConfig, probeUrl) {
+  const baseUrl = (probeUrl || env.url).replace(/\{environment\}/g, env.environment).replace(/\/$/, '');
+  const healthPath = probeConfig.healthPath || '/';
+  const timeoutMs = probeConfig.timeoutMs || 5000;
+
+  const result = {
+    url: `${baseUrl}${healthPath}`,
+    ok: false,
+    status: null,
+    latencyMs: null,
+    error: null,
+    running: null,
+    versionError: null,
+    matchesTag: null
+  };
+
+  try {
+    const { response, latencyMs } = await fetchWithTiming(result.url, timeoutMs);
+    result.status = response.status;
+    result.latencyMs = latencyMs;
+    result.ok = response.status >= 200 && response.status < 400;
+
+    // The running version comes from a header on the health response or a dedicated endpoint
+    let reported = null;
+    const headerValue = probeConfig.versionHeader && response.headers.get(probeConfig.versionHeader);
+    if (headerValue) {
+      reported = parseReportedVersion(headerValue);
+    } else if (probeConfig.versionPath) {
+      reported = await fetchReportedVersion(`${baseUrl}${probeConfig.versionPath}`, timeoutMs, result);
+    }
+
+    if (reported && (reported.commit || reported.version)) {
+      result.running = reported;
+      if (reported.commit && env.commit) {
+        result.matchesTag = env.commit.startsWith(reported.commit.toLowerCase());
+      } else if (reported.version && env.tag) {
+        result.matchesTag = [env.tag, env.version].includes(reported.version);
+      }
+    }
+  } catch (error) {
+    result.error = error.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : error.cause?.message || error.message;
+  }
+
+  return result;
+}
+
+function describeProbe(probe) {
+  if (probe.error) return `❌ ${probe.error}`;
+  return `${probe.ok ? '✅' : '❌'} HTTP ${probe.status} (${probe.latencyMs} ms)`;
+}
+
+function describeRunning(env) {
+  const { running, versionError, matchesTag } = env.probe;
+  if (versionError) return `unknown (${versionError})`;
+  if (!running) return null;
+
+  const value = running.commit ? running.commit.substring(0, 7) : running.version;
+  if (matchesTag === false) {
+    return `⚠️  ${value} differs from ${env.tag || env.source.branch} (${env.shortCommit})`;
+  }
+  return matchesTag ? `✅ ${value}` : value;
+}
+
+// Every service of a monorepo has its own environments; --service keeps one of them
+function getScopes(config, options) {
+  if (options.service === undefined) {
+    return getServiceConfigs(config);
+  }
+  const service = findService(config.services, options.service);
+  if (!service) {
+    const names = config.services.map(candidate => `"${candidate.name}"`);
+    throw new Error(names.length > 0
+      ? `Invalid service "${options.service}". Must be one of: ${names.join(', ')}`
+      : `--service needs a "services" list in ${CONFIG_FILE}`);
+  }
+  return [getServiceConfig(config, service)];
+}
+
+// "Production", or "api / Production" in a monorepo
+function describeEnvironment(env) {
+  return env.service ? `${env.service} / ${env.name}` : env.name;
+}
+
+function collectStatus(options) {
+  const config = loadConfig();
+  const { workersDomain } = config;
+  if (config.source !== CONFIG_FILE) {
+    // stderr, so JSON output stays parseable
+    console.error(`⚠️  ${CONFIG_FILE} not found; URLs use "${workersDomain}" as the domain`);
+  }
+  const scopes = getScopes(config, options);
+
+  const repoUrl = getRepoUrl();
+
+  const status = {
+    schemaVersion: 1,
+    branch: exec('git rev-parse --abbrev-ref HEAD'),
+    commit: exec('git rev-parse HEAD'),
+    repository: repoUrl,
+    actionsUrl: repoUrl ? `${repoUrl}/actions` : null,
+    environments: scopes.flatMap(scope => scope.environments.map(env => {
+      const fromTag = env.deployFrom === 'tag';
+      const info = fromTag ? getTagInfo(getLatestTag(env)) : getBranchInfo(env.branch);
+      const resolved = resolveEnvironmentUrls(env, scope);
+      resolved.warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+
+      // Every field is always present so consumers can rely on the shape
       return {
-        serviceName: 'your-service',
-        workersDomain: 'your-domain.workers.dev'
+        service: env.service || null,
+        environment: env.name,
+        name: env.label,
+        worker: getWorkerName(env, scope.serviceName),
+        source: fromTag ? { type: 'tag', pattern: `${env.tagPrefix}*` } : { type: 'branch', branch: env.branch },
+        promoteFrom: env.promoteFrom,
+        deployed: Boolean(info),
+        tag: info ? info.tag : null,
+        version: info && info.tag ? getTagVersion(env, info.tag) : null,
+        commit: info ? info.commit : null,
+        shortCommit: info ? info.shortCommit : null,
+        date: info ? info.date : null,
+        author: info ? info.author : null,
+        message: info ? info.message : null,
+        signature: info && info.tag ? getTagSignature(info.tag) : null,
+        url: resolved.urls[0],
+        urls: resolved.urls,
+        urlSource: resolved.source,
+        ...(options.notes ? { notes: info ? info.notes : null } : {})
       };
+    }))
+  };
+
+  return { status, config };
+}
+
+async function addProbes(status, config, options) {
+  await Promise.all(status.environments.map(async (env) => {
+    env.probe = await probeEnvironment(env, config.probe, options['probe-url'] || config.probe.baseUrl);
+  }));
+}
+
+async function addVersionSplits(status, config) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  const problem = !token ? 'no API token (set CLOUDFLARE_API_TOKEN or run wrangler login)'
+    : !accountId ? 'no account ID (set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json)'
+      : null;
+  if (problem) {
+    console.error(`⚠️  Cannot look up Worker versions: ${problem}`);
+  }
+  const client = problem ? null : new CloudflareClient({ token, accountId });
+
+  await Promise.all(status.environments.map(async (env) => {
+    env.versions = { split: null, deployedOn: null, error: problem };
+    if (!client) return;
+    try {
+      const { deployment, split } = await getVersionSplit(client, env.worker);
+      env.versions.split = split;
+      env.versions.deployedOn = deployment ? deployment.createdOn : null;
+    } catch (error) {
+      env.versions.error = error instanceof CloudflareNotFoundError ? 'Worker not found' : error.message;
     }
+  }));
+}
+
+function describeVersions(env) {
+  const { split, error } = env.versions;
+  if (error) return `⚠️  ${error}`;
+  if (split.length === 0) return 'no deployment';
+  return `${split.length > 1 ? 'split ' : ''}${describeSplit(split)}`;
+}
+
+function getCommitRange(fromCommit, toCommit) {
+  // Commits reachable from toCommit but not from fromCommit, newest first
+  const log = exec(`git log --format=%H%x1f%h%x1f%an%x1f%s ${fromCommit}..${toCommit}`);
+  if (!log) return [];
+
+  return log.split('\n').filter(Boolean).map(line => {
+    const [commit, shortCommit, author, subject] = line.split('\x1f');
+    return { commit, shortCommit, author, subject };
+  });
+}
+
+function addDrift(status) {
+  // Compare each environment with the one it is promoted from, within the same service
+  status.drift = [];
+  for (const to of status.environments.filter(env => env.promoteFrom)) {
+    const from = status.environments.find(env => env.service === to.service && env.environment === to.promoteFrom);
+
+    const entry = {
+      service: to.service,
+      from: from.environment,
+      to: to.environment,
+      fromRef: from.tag || from.source.branch || null,
+      toRef: to.tag,
+      ahead: null,
+      behind: null,
+      pending: [],
+      missing: []
+    };
+
+    if (from.commit && to.commit) {
+      // pending: would go out with the next promotion; missing: in `to` but never in `from`
+      entry.pending = getCommitRange(to.commit, from.commit);
+      entry.missing = getCommitRange(from.commit, to.commit);
+      entry.ahead = entry.pending.length;
+      entry.behind = entry.missing.length;
+    }
+
+    status.drift.push(entry);
   }
 }
 
-function main() {
+function describeDrift(status, entry) {
+  const name = (id) => status.environments.find(env => env.service === entry.service && env.environment === id).name;
+  const refs = entry.fromRef && entry.toRef ? ` (${entry.fromRef} → ${entry.toRef})` : '';
+  return `${entry.service ? `${entry.service}: ` : ''}${name(entry.from)} → ${name(entry.to)}${refs}`;
+}
+
+function renderDriftText(status) {
+  const maxListed = 20;
+  const list = (commits, marker) => {
+    commits.slice(0, maxListed).forEach(commit => {
+      console.log(`    ${marker} ${commit.shortCommit} ${commit.subject} (${commit.author})`);
+    });
+    if (commits.length > maxListed) {
+      console.log(`    … and ${commits.length - maxListed} more`);
+    }
+  };
+
+  console.log('## Drift');
+  for (const entry of status.drift) {
+    if (entry.ahead === null) {
+      console.log(`  ${describeDrift(status, entry)}: not comparable, ${entry.toRef ? entry.fromRef : entry.to} not deployed\n`);
+      continue;
+    }
+
+    console.log(`  ${describeDrift(status, entry)}: ${entry.ahead} ahead, ${entry.behind} behind`);
+    list(entry.pending, '+');
+
+    if (entry.missing.length > 0) {
+      console.log(`  ⚠️  ${entry.missing.length} commit(s) in ${entry.toRef} never went through ${entry.fromRef}:`);
+      list(entry.missing, '!');
+    }
+    console.log('');
+  }
+}
+
+function renderText(status, options) {
   console.log('🚀 Deployment Status\n');
 
-  // Get current branch
-  const currentBranch = exec('git rev-parse --abbrev-ref HEAD');
-  const currentCommit = exec('git rev-parse --short HEAD');
-  
-  console.log(`📍 Current branch: ${currentBranch}`);
-  console.log(`📝 Current commit: ${currentCommit}\n`);
-
-  // Get configuration
-  const config = getConfig();
-  const serviceName = config.serviceName;
-  const workersDomain = config.workersDomain;
-
-  // Check each environment
-  const environments = [
-    { name: 'Development', pattern: null, branch: 'main', url: `https://${serviceName}-dev.${workersDomain}` },
-    { name: 'QA', pattern: 'qa-*', branch: null, url: `https://${serviceName}-qa.${workersDomain}` },
-    { name: 'Production', pattern: 'prod-*', branch: null, url: `https://${serviceName}.${workersDomain}` }
-  ];
+  console.log(`📍 Current branch: ${status.branch}`);
+  console.log(`📝 Current commit: ${status.commit ? status.commit.substring(0, 7) : null}\n`);
 
-  environments.forEach(env => {
-    console.log(`## ${env.name}`);
+  status.environments.forEach(env => {
+    console.log(`## ${describeEnvironment(env)}`);
     
-    if (env.pattern) {
-      const latestTag = getLatestTag(env.pattern);
-      const tagInfo = getTagInfo(latestTag);
-      
-      if (tagInfo) {
-        console.log(`  Latest tag: ${tagInfo.tag}`);
-        console.log(`  Commit: ${tagInfo.commit}`);
-        console.log(`  Date: ${tagInfo.date}`);
-        console.log(`  Author: ${tagInfo.author}`);
-        console.log(`  Message: ${tagInfo.message}`);
+    if (env.source.type === 'tag') {
+      if (env.deployed) {
+        console.log(`  Latest tag: ${env.tag}`);
+        console.log(`  Commit: ${env.shortCommit}`);
+        console.log(`  Date: ${env.date}`);
+        console.log(`  Author: ${env.author}`);
+        console.log(`  Message: ${env.message}`);
+        console.log(`  Signature: ${describeSignature(env.signature)}`);
+
+        if (options.notes) {
+          console.log('  Release notes:');
+          const notes = env.notes || 'No release notes in this tag';
+          console.log(notes.split('\n').map(line => `    ${line}`).join('\n'));
+        }
       } else {
-        console.log(`  No tags found matching pattern: ${env.pattern}`);
+        console.log(`  No tags found matching pattern: ${env.source.pattern}`);
       }
     } else {
-      console.log(`  Deploys from: ${env.branch} branch (HEAD)`);
-      const latestCommit = exec(`git log -1 --format="%h %s" ${env.branch}`);
-      if (latestCommit) {
-        console.log(`  Latest commit: ${latestCommit}`);
+      console.log(`  Deploys from: ${env.source.branch} branch (HEAD)`);
+      if (env.deployed) {
+        console.log(`  Latest commit: ${env.shortCommit} ${env.message}`);
       }
     }
     
-    console.log(`  URL: ${env.url}\n`);
+    for (const url of env.urls) {
+      console.log(`  URL: ${url}`);
+    }
+    console.log(`  URL source: ${env.urlSource.file || 'built-in default'}`);
+
+    if (env.versions) {
+      console.log(`  Versions: ${describeVersions(env)}`);
+    }
+
+    if (env.probe) {
+      console.log(`  Health: ${describeProbe(env.probe)} ${env.probe.url}`);
+      const running = describeRunning(env);
+      if (running) {
+        console.log(`  Running: ${running}`);
+      }
+    }
+
+    console.log('');
   });
 
+  if (status.drift) {
+    renderDriftText(status);
+  }
+
   // GitHub Actions URL
-  const repoUrl = exec('git config --get remote.origin.url');
-  if (repoUrl) {
-    const match = repoUrl.match(/github\.com[:/](.+?)(\.git)?$/);
-    if (match) {
-      const repoPath = match[1];
-      console.log(`🔗 GitHub Actions: https://github.com/${repoPath}/actions`);
+  if (status.actionsUrl) {
+    console.log(`🔗 GitHub Actions: ${status.actionsUrl}`);
+  }
+}
+
+function renderMarkdown(status, options) {
+  // Ready for $GITHUB_STEP_SUMMARY or a PR comment
+  const escape = (value) => String(value).replace(/\|/g, '\\|');
+  const commitLink = (env) => {
+    if (!env.commit) return '—';
+    return status.repository
+      ? `[\`${env.shortCommit}\`](${status.repository}/commit/${env.commit})`
+      : `\`${env.shortCommit}\``;
+  };
+
+  const probed = status.environments.some(env => env.probe);
+  const services = status.environments.some(env => env.service);
+  const split = status.environments.some(env => env.versions);
+  const lines = [
+    '## 🚀 Deployment Status',
+    '',
+    `|${services ? ' Service |' : ''} Environment | Version | Commit | Date | Author | Signature | URL |${split ? ' Traffic |' : ''}${probed ? ' Health | Running |' : ''}`,
+    `|${services ? ' --- |' : ''} --- | --- | --- | --- | --- | --- | --- |${split ? ' --- |' : ''}${probed ? ' --- | --- |' : ''}`
+  ];
+
+  for (const env of status.environments) {
+    const version = env.tag ? `\`${env.tag}\`` : env.source.type === 'branch' ? `\`${env.source.branch}\`` : '_not deployed_';
+    const probe = env.probe ? ` ${escape(describeProbe(env.probe))} | ${escape(describeRunning(env) || '—')} |` : '';
+    const signature = env.signature ? escape(describeSignature(env.signature)) : '—';
+    const traffic = env.versions ? ` ${escape(describeVersions(env))} |` : '';
+    lines.push(`|${services ? ` ${env.service} |` : ''} ${env.name} | ${version} | ${commitLink(env)} | ${env.date || '—'} | ${escape(env.author || '—')} | ${signature} | ${env.urls.join('<br>')} |${traffic}${probe}`);
+  }
+
+  if (options.notes) {
+    for (const env of status.environments.filter(env => env.notes)) {
+      lines.push('', `<details><summary>${describeEnvironment(env)} release notes (${env.tag})</summary>`, '', env.notes, '', '</details>');
+    }
+  }
+
+  if (status.drift) {
+    const link = (commit) => status.repository
+      ? `[\`${commit.shortCommit}\`](${status.repository}/commit/${commit.commit})`
+      : `\`${commit.shortCommit}\``;
+    const list = (commits) => commits.map(commit => `- ${link(commit)} ${commit.subject} (${commit.author})`);
+
+    lines.push('', '### Drift', '', '| Promotion | Ahead | Behind |', '| --- | --- | --- |');
+    for (const entry of status.drift) {
+      const behind = entry.behind ? `⚠️ ${entry.behind}` : entry.behind ?? '—';
+      lines.push(`| ${describeDrift(status, entry)} | ${entry.ahead ?? '—'} | ${behind} |`);
     }
+
+    for (const entry of status.drift) {
+      if (entry.pending.length > 0) {
+        lines.push('', `<details><summary>${describeDrift(status, entry)}: ${entry.ahead} pending commit(s)</summary>`, '', ...list(entry.pending), '', '</details>');
+      }
+      if (entry.missing.length > 0) {
+        lines.push('', `> ⚠️ ${entry.missing.length} commit(s) in \`${entry.toRef}\` never went through \`${entry.fromRef}\`:`, '', ...list(entry.missing));
+      }
+    }
+  }
+
+  if (status.actionsUrl) {
+    lines.push('', `🔗 [GitHub Actions](${status.actionsUrl})`);
+  }
+
+  console.log(lines.join('\n'));
+}
+
+function renderTable(status) {
+  const probed = status.environments.some(env => env.probe);
+  const services = status.environments.some(env => env.service);
+  const split = status.environments.some(env => env.versions);
+  const headers = [
+    ...(services ? ['SERVICE'] : []),
+    'ENVIRONMENT', 'VERSION', 'COMMIT', 'DATE', 'AUTHOR', 'SIGNATURE', 'URL',
+    ...(split ? ['TRAFFIC'] : []),
+    ...(probed ? ['HEALTH', 'RUNNING'] : [])
+  ];
+  const rows = status.environments.map(env => [
+    ...(services ? [env.service] : []),
+    env.name,
+    env.tag || (env.source.type === 'branch' ? env.source.branch : '-'),
+    env.shortCommit || '-',
+    env.date || '-',
+    env.author || '-',
+    env.signature ? `${env.signature.status}${env.signature.signer ? ` (${env.signature.signer})` : ''}` : '-',
+    env.urls.join(' '),
+    ...(env.versions ? [describeVersions(env)] : []),
+    ...(env.probe ? [describeProbe(env.probe), describeRunning(env) || '-'] : [])
+  ]);
+
+  console.log(formatTable(headers, rows));
+
+  if (status.drift) {
+    const driftRows = status.drift.map(entry => [
+      `${entry.service ? `${entry.service}: ` : ''}${entry.from} → ${entry.to}`,
+      entry.fromRef || '-',
+      entry.toRef || '-',
+      String(entry.ahead ?? '-'),
+      String(entry.behind ?? '-')
+    ]);
+    console.log(`\n${formatTable(['PROMOTION', 'FROM', 'TO', 'AHEAD', 'BEHIND'], driftRows)}`);
+  }
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [format(headers), ...rows.map(format)].join('\n');
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { status, config } = collectStatus(options);
+  if (options.probe || options['probe-url']) {
+    await addProbes(status, config, options);
+  }
+  if (options.versions) {
+    await addVersionSplits(status, config);
+  }
+  if (options.drift) {
+    addDrift(status);
+  }
+
+  switch (options.format) {
+    case 'json':
+      console.log(JSON.stringify(status, null, 2));
+      break;
+    case 'markdown':
+      renderMarkdown(status, options);
+      break;
+    case 'table':
+      renderTable(status);
+      break;
+    default:
+      renderText(status, options);
+  }
+
+  // Let CI fail on unhealthy environments or a running version that is not the tagged one
+  const probeFailed = status.environments.some(env => env.probe && (!env.probe.ok || env.probe.matchesTag === false));
+  if (probeFailed) {
+    process.exitCode = 1;
   }
 }
 
-main();
\ No newline at end of file
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -4,11 +4,96 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { CloudflareAuthError, CloudflareClient, CloudflareNetworkError, getApiToken } from './lib/cloudflare.js';
+import { CONFIG_FILE, loadConfig, validateConfig } from './lib/config.js';
+import { formatDiff } from './lib/diff.js';
+import { getWorkerName } from './lib/environments.js';
+import { applyResourcePlan, describeResource, listAccountResources, planResources } from './lib/resources.js';
+import { getSecretsInventory } from './lib/secrets.js';
+import { getServiceConfigs } from './lib/services.js';
+import { coerceVersion, compareVersions } from './lib/semver.js';
+import { getBindings, getWranglerConfigFile, lintWranglerConfigs, readWranglerConfig } from './lib/wrangler.js';
+import { getWorkflowFile, readWorkflowInputs } from './lib/workflows.js';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: node scripts/init-environment.js [options]
+
+Options:
+  --check, --ci        Run every check without prompting or changing anything,
+                       and print a JSON report. Exits 0 when all checks pass,
+                       1 on warnings, 2 on failures and 3 if the checks could not run
+  --report <file>      With --check, write the JSON report to a file instead of stdout
+  --fix                Add missing package.json scripts, create worker-config.json
+                       and the caller workflows of monorepo services, showing each
+                       change as a diff and asking before writing it
+  --provision          Create the KV namespaces, R2 buckets, D1 databases and queues
+                       the wrangler configs declare, and write their IDs back
+  --dry-run            With --provision, show what would be created without doing it
+  -h, --help           Show this help`;
+
+// Exit codes of --check, so pipelines can tell warnings from failures
+const EXIT_CODES = { pass: 0, warn: 1, fail: 2, error: 3 };
+
+let rl = null;
+let checkMode = false;
+let currentService = null;
+const report = [];
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        check: { type: 'boolean', default: false },
+        ci: { type: 'boolean', default: false },
+        report: { type: 'string' },
+        fix: { type: 'boolean', default: false },
+        provision: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (values.report && !values.check && !values.ci) {
+      throw new Error('--report requires --check');
+    }
+    if ((values.fix || values.provision) && (values.check || values.ci)) {
+      throw new Error('--fix and --provision cannot be combined with --check, which never changes anything');
+    }
+    if (values['dry-run'] && !values.provision) {
+      throw new Error('--dry-run requires --provision');
+    }
+    return values;
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+// In check mode stdout carries the JSON report, so progress goes to stderr
+function log(...args) {
+  (checkMode ? console.error : console.log)(...args);
+}
+
+// Checks that run per service (see forEachService) carry the service's name
+function record(name, status, details, remediation = null) {
+  report.push({ name, status, details, remediation, ...(currentService ? { service: currentService } : {}) });
+}
+
+/**
+ * Runs a check once for every service of a monorepo, with the service's view
+ * of the config, or once with the config itself. Returns the results in order.
+ */
+async function forEachService(config, check) {
+  const results = [];
+  for (const scope of getServiceConfigs(config)) {
+    currentService = scope.service ? scope.service.name : null;
+    if (currentService) {
+      log(`📦 Service ${currentService} (${scope.service.directory})\n`);
+    }
+    results.push(await check(scope));
+  }
+  currentService = null;
+  return results;
+}
 
 function exec(command, options = {}) {
   try {
@@ -23,28 +108,20 @@ function exec(command, options = {}) {
 }
 
 function question(prompt) {
+  // Created lazily so that --check never holds stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
   return new Promise((resolve) => {
     rl.question(prompt, resolve);
   });
 }
 
-function compareVersions(a, b) {
-  const aParts = a.split('.').map(Number);
-  const bParts = b.split('.').map(Number);
-  
-  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-    const aPart = aParts[i] || 0;
-    const bPart = bParts[i] || 0;
-    
-    if (aPart > bPart) return 1;
-    if (aPart < bPart) return -1;
-  }
-  
-  return 0;
-}
-
 async function checkPrerequisites() {
-  console.log('🔍 Checking prerequisites...\n');
+  log('🔍 Checking prerequisites...\n');
   
   const checks = {
     'Node.js': {
@@ -70,287 +147,605 @@ async function checkPrerequisites() {
   };
   
   let allPassed = true;
+  const failed = [];
   
   for (const [tool, check] of Object.entries(checks)) {
     const version = exec(check.command, { silent: true });
     check.currentVersion = version;
     
     if (!version) {
-      console.log(`❌ ${tool}: Not installed`);
+      log(`❌ ${tool}: Not installed`);
       if (tool === 'Wrangler') {
-        console.log('   💡 Run: npm install -g wrangler');
+        log('   💡 Run: npm install -g wrangler');
       }
       allPassed = false;
+      failed.push(tool);
     } else {
-      const versionNumber = version.replace(/[^0-9.]/g, '');
-      if (compareVersions(versionNumber, check.minVersion) < 0) {
-        console.log(`⚠️  ${tool}: ${version} (minimum required: ${check.minVersion})`);
+      const versionNumber = coerceVersion(version);
+      if (!versionNumber || compareVersions(versionNumber, check.minVersion) < 0) {
+        log(`⚠️  ${tool}: ${version} (minimum required: ${check.minVersion})`);
         allPassed = false;
+        failed.push(tool);
       } else {
-        console.log(`✅ ${tool}: ${version}`);
+        log(`✅ ${tool}: ${version}`);
       }
     }
   }
   
-  console.log();
+  record(
+    'prerequisites',
+    allPassed ? 'pass' : 'fail',
+    Object.fromEntries(Object.entries(checks).map(([tool, check]) => [tool, { version: check.currentVersion, minVersion: check.minVersion }])),
+    allPassed ? null : `Install or upgrade ${failed.join(', ')}${failed.includes('Wrangler') ? ' (npm install -g wrangler)' : ''}`
+  );
+  
+  log();
   return allPassed;
 }
 
 async function checkGitRepository() {
-  console.log('📂 Checking Git repository...\n');
+  log('📂 Checking Git repository...\n');
   
   const origin = exec('git config --get remote.origin.url', { silent: true });
   if (!origin) {
-    console.log('❌ No Git remote origin configured');
-    console.log('   💡 Initialize with: git remote add origin <your-repo-url>');
+    log('❌ No Git remote origin configured');
+    log('   💡 Initialize with: git remote add origin <your-repo-url>');
+    record('git-repository', 'fail', 'No Git remote origin configured', 'git remote add origin <your-repo-url>');
     return false;
   }
   
-  console.log(`✅ Repository: ${origin}`);
+  log(`✅ Repository: ${origin}`);
   
   // Check if we can access the repository
   const hasAccess = exec('git ls-remote --heads origin', { silent: true });
   if (!hasAccess) {
-    console.log('❌ Cannot access Git repository');
-    console.log('   💡 Check your Git credentials and repository access');
+    log('❌ Cannot access Git repository');
+    log('   💡 Check your Git credentials and repository access');
+    record('git-repository', 'fail', `Cannot access ${origin}`, 'Check your Git credentials and repository access');
     return false;
   }
   
-  console.log('✅ Git repository access confirmed');
-  console.log();
+  log('✅ Git repository access confirmed');
+  record('git-repository', 'pass', `Access to ${origin} confirmed`);
+  log();
   return true;
 }
 
-async function checkCloudflare() {
-  console.log('☁️  Checking Cloudflare setup...\n');
+// Storage the wrangler configs bind, so the token is only checked for what deploys use
+function getBoundStorageKinds(config) {
+  const kinds = new Set();
+  for (const env of getServiceConfigs(config).flatMap(scope => scope.environments)) {
+    let wrangler = null;
+    try {
+      wrangler = readWranglerConfig(getWranglerConfigFile(env));
+    } catch (error) {
+      // Reported by the wrangler lint
+    }
+    for (const binding of wrangler ? getBindings(wrangler) : []) {
+      const kind = { KV: 'kv', R2: 'r2', D1: 'd1' }[binding.kind];
+      if (kind) kinds.add(kind);
+    }
+  }
+  return [...kinds];
+}
+
+async function checkApiToken(token, config) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || (config && config.accountId);
+  const client = new CloudflareClient({ token, accountId });
+  log(`🔑 Verifying CLOUDFLARE_API_TOKEN with ${client.baseUrl}...`);
+  
+  let tokenInfo;
+  try {
+    tokenInfo = await client.verifyToken();
+  } catch (error) {
+    const fix = error instanceof CloudflareNetworkError
+      ? 'Check the network connection, or CLOUDFLARE_API_BASE_URL if it is set'
+      : 'Check that CLOUDFLARE_API_TOKEN holds the whole token, or create a new one under My Profile → API Tokens';
+    log(`❌ Token verification failed: ${error.message}`);
+    log(`   💡 ${fix}`);
+    log();
+    record('cloudflare-auth', 'fail', error.message, fix);
+    return false;
+  }
+  
+  const expiresAt = tokenInfo.expires_on ? Date.parse(tokenInfo.expires_on) : null;
+  if (tokenInfo.status !== 'active' || (expiresAt && expiresAt <= Date.now())) {
+    const state = expiresAt && expiresAt <= Date.now() ? `expired on ${tokenInfo.expires_on.slice(0, 10)}` : `is ${tokenInfo.status}`;
+    log(`❌ API token ${state}`);
+    log('   💡 Roll the token or create a new one under My Profile → API Tokens');
+    log();
+    record('cloudflare-auth', 'fail', { status: tokenInfo.status, expiresOn: tokenInfo.expires_on || null }, 'Roll the token or create a new one');
+    return false;
+  }
+  log(`✅ API token is active${expiresAt ? ` (expires ${tokenInfo.expires_on.slice(0, 10)})` : ''}`);
   
-  // Check for environment variables first
-  const hasEnvVars = process.env.CLOUDFLARE_API_TOKEN && process.env.CLOUDFLARE_ACCOUNT_ID;
-  if (hasEnvVars) {
-    console.log('✅ Using Cloudflare environment variables');
-    console.log(`   API Token: ${process.env.CLOUDFLARE_API_TOKEN.substring(0, 10)}...`);
-    console.log(`   Account ID: ${process.env.CLOUDFLARE_ACCOUNT_ID}`);
-    console.log();
+  if (!accountId) {
+    log('⚠️  No account ID, so the token permissions cannot be checked');
+    log('   💡 Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+    log();
+    record('cloudflare-auth', 'warn', 'API token is active; permissions not checked without an account ID', 'Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
     return true;
   }
   
+  const kinds = ['workers', ...(config ? getBoundStorageKinds(config) : [])];
+  let permissions;
+  try {
+    permissions = await client.checkTokenPermissions(tokenInfo, kinds);
+  } catch (error) {
+    log(`❌ Could not check the token permissions: ${error.message}`);
+    log();
+    record('cloudflare-auth', 'fail', error.message, 'Check the network connection to the Cloudflare API');
+    return false;
+  }
+  
+  for (const result of permissions.results) {
+    log(`${result.ok ? '✅' : '❌'} ${result.label}: ${result.detail}`);
+  }
+  if (permissions.method === 'probe') {
+    log('   ℹ️  The token cannot read its own policies (API Tokens: Read), so only account access was probed');
+  }
+  
+  const missing = permissions.results.filter(result => !result.ok);
+  if (missing.length > 0) {
+    log(`   💡 Edit the token to grant ${missing.map(result => result.label).join(', ')} on account ${accountId}`);
+  }
+  log();
+  record(
+    'cloudflare-auth',
+    missing.length > 0 ? 'fail' : 'pass',
+    { owner: tokenInfo.owner, expiresOn: tokenInfo.expires_on || null, method: permissions.method, permissions: permissions.results },
+    missing.length > 0 ? `Grant ${missing.map(result => result.label).join(', ')} on account ${accountId}` : null
+  );
+  return missing.length === 0;
+}
+
+async function checkCloudflare(config) {
+  log('☁️  Checking Cloudflare setup...\n');
+  
+  // An API token takes precedence over a wrangler login, as it does for wrangler itself
+  if (process.env.CLOUDFLARE_API_TOKEN) {
+    return checkApiToken(process.env.CLOUDFLARE_API_TOKEN, config);
+  }
+  
   // Fall back to wrangler authentication
   const whoami = exec('wrangler whoami', { silent: true });
   if (!whoami || whoami.includes('not logged in') || whoami.includes('not authenticated')) {
-    console.log('❌ Not logged in to Cloudflare');
-    console.log('   💡 Run: wrangler login');
-    console.log('   💡 Or set environment variables: CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID');
+    log('❌ Not logged in to Cloudflare');
+    log('   💡 Run: wrangler login');
+    log('   💡 Or set environment variables: CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID');
+    record('cloudflare-auth', 'fail', 'Not logged in to Cloudflare', 'Run wrangler login, or set CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID');
     return false;
   }
   
-  console.log(`✅ Logged in to Cloudflare via wrangler`);
-  console.log(`   Account: ${whoami}`);
-  console.log();
+  log(`✅ Logged in to Cloudflare via wrangler`);
+  log(`   Account: ${whoami}`);
+  log();
+  record('cloudflare-auth', 'pass', 'Logged in via wrangler');
   return true;
 }
 
-async function checkEnvironmentFiles() {
-  console.log('📄 Checking environment files...\n');
+async function checkEnvironmentFiles(config) {
+  log('📄 Checking environment files...\n');
   
-  const wranglerFiles = [
-    'wrangler.dev.toml',
-    'wrangler.qa.toml', 
-    'wrangler.prod.toml'
-  ];
+  const environments = getServiceConfigs(config).flatMap(scope => scope.environments);
+  const wranglerFiles = environments.map(env => getWranglerConfigFile(env));
+  // Only services need workflows of their own; the single-Worker ones ship with the bundle
+  const workflowFiles = config.services.length > 0 ? environments.map(env => getWorkflowFile(env)) : [];
   
-  const criticalFiles = ['package.json'];
+  // A service's directory holds its code, which init cannot create
+  const criticalFiles = ['package.json', ...config.services.map(service => service.directory)];
   
   let criticalMissing = false;
   let wranglerMissing = false;
+  const missing = [];
   
   // Check wrangler files (can be auto-created)
   for (const file of wranglerFiles) {
     if (fs.existsSync(file)) {
-      console.log(`✅ ${file} exists`);
+      log(`✅ ${file} exists`);
     } else {
-      console.log(`❌ ${file} not found`);
+      log(`❌ ${file} not found`);
       wranglerMissing = true;
+      missing.push(file);
+    }
+  }
+  
+  // Check service workflows (can be auto-created with --fix)
+  let workflowMissing = false;
+  for (const file of workflowFiles) {
+    if (fs.existsSync(file)) {
+      log(`✅ ${file} exists`);
+    } else {
+      log(`❌ ${file} not found`);
+      workflowMissing = true;
+      missing.push(file);
     }
   }
   
   // Check critical files (must exist)
   for (const file of criticalFiles) {
     if (fs.existsSync(file)) {
-      console.log(`✅ ${file} exists`);
+      log(`✅ ${file} exists`);
     } else {
-      console.log(`❌ ${file} not found`);
+      log(`❌ ${file} not found`);
       criticalMissing = true;
+      missing.push(file);
     }
   }
   
-  // Check for worker-config.json or suggest creation
-  if (fs.existsSync('worker-config.json')) {
-    console.log('✅ worker-config.json exists');
+  record(
+    'files',
+    criticalMissing ? 'fail' : wranglerMissing || workflowMissing ? 'warn' : 'pass',
+    { missing },
+    missing.length > 0 ? 'Run npm run init to create the missing wrangler configs and npm run init -- --fix for the service workflows; package.json and service directories must be created by hand' : null
+  );
+  if (workflowMissing && !checkMode) {
+    log('\n💡 Create the service workflows with: npm run init -- --fix');
+  }
+  
+  // loadConfig() has already rejected an invalid worker-config.json
+  if (config.source === CONFIG_FILE) {
+    log('✅ worker-config.json exists and is valid');
+    record('worker-config', 'pass', 'worker-config.json is valid');
   } else {
-    console.log('ℹ️  worker-config.json not found (optional)');
-    console.log('   💡 Create one to simplify URL configuration');
+    log('ℹ️  worker-config.json not found (optional)');
+    log('   💡 Create one to simplify URL configuration: npm run init -- --fix');
+    record('worker-config', 'pass', 'worker-config.json not found (optional); using package.json and defaults');
   }
   
-  console.log();
+  log();
   return { criticalMissing, wranglerMissing };
 }
 
-async function checkWorkers() {
-  console.log('🔧 Checking Cloudflare Workers...\n');
+async function checkWranglerConfigs(config) {
+  log('🧹 Linting wrangler configuration files...\n');
+  
+  const entries = [];
+  let parseFailed = false;
+  const parseErrors = [];
+  for (const env of config.environments) {
+    const file = getWranglerConfigFile(env);
+    try {
+      const wrangler = readWranglerConfig(file);
+      if (wrangler) entries.push({ env, file, wrangler });
+    } catch (error) {
+      log(`❌ ${error.message}`);
+      parseFailed = true;
+      parseErrors.push({ level: 'error', file: getWranglerConfigFile(env), message: error.message, fix: 'Fix the TOML syntax' });
+    }
+  }
   
-  // Try to get config from worker-config.json
-  let serviceName = 'your-service';
-  let accountId = 'YOUR_ACCOUNT_ID';
-  let hasConfig = false;
+  if (entries.length === 0) {
+    log('ℹ️  No wrangler configuration files to lint\n');
+    if (parseFailed) {
+      record('wrangler-lint', 'fail', parseErrors, 'Fix the TOML syntax errors');
+    }
+    return !parseFailed;
+  }
   
-  try {
-    if (fs.existsSync('worker-config.json')) {
-      const config = JSON.parse(fs.readFileSync('worker-config.json', 'utf8'));
-      serviceName = config.serviceName || serviceName;
-      accountId = config.accountId || accountId;
-      hasConfig = true;
-    } else if (fs.existsSync('package.json')) {
-      const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-      serviceName = pkg.name || serviceName;
+  const { problems, parity } = lintWranglerConfigs(entries, config.serviceName);
+  for (const problem of problems) {
+    const prefix = problem.file ? `${problem.file}: ` : '';
+    log(`${problem.level === 'error' ? '❌' : '⚠️ '} ${prefix}${problem.message}`);
+    log(`   💡 ${problem.fix}`);
+  }
+  
+  if (parity.length > 0) {
+    // A binding that only exists in dev is an error at runtime in prod, not at deploy time
+    log('\n❌ Bindings are not defined in every environment:\n');
+    const names = entries.map(entry => entry.env.name);
+    const rows = [
+      ['KIND', 'BINDING', ...names.map(name => name.toUpperCase())],
+      ...parity.map(binding => [
+        binding.kind,
+        binding.name,
+        ...names.map(name => (binding.present[name] ? 'ok' : 'MISSING'))
+      ])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    for (const row of rows) {
+      log(`   ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
     }
-  } catch (error) {
-    // Use defaults
   }
   
-  const expectedWorkers = [
-    `${serviceName}-dev`,
-    `${serviceName}-qa`, 
-    `${serviceName}-prod`
-  ];
+  const errors = problems.filter(problem => problem.level === 'error').length + parity.length;
+  if (problems.length === 0 && parity.length === 0) {
+    log(`✅ ${entries.map(entry => entry.file).join(', ')} are consistent`);
+  }
+  
+  const lintProblems = [...parseErrors, ...problems];
+  record(
+    'wrangler-lint',
+    lintProblems.some(problem => problem.level === 'error') ? 'fail' : lintProblems.length > 0 ? 'warn' : 'pass',
+    lintProblems,
+    lintProblems.length > 0 ? 'Apply the fix listed with each problem' : null
+  );
+  record(
+    'binding-parity',
+    parity.length > 0 ? 'fail' : 'pass',
+    parity.map(({ kind, name, missing }) => ({ kind, name, missing })),
+    parity.length > 0 ? 'Define each binding in every environment, or remove it everywhere' : null
+  );
+  
+  // Offline: only placeholder IDs and names are visible without asking Cloudflare
+  const unprovisioned = planResources(entries, null).filter(item => item.action !== 'ok');
+  if (unprovisioned.length > 0) {
+    log(`\n⚠️  ${unprovisioned.length} binding(s) still have placeholder IDs or names:`);
+    for (const item of unprovisioned) {
+      log(`   ${item.environment}: ${describeResource(item)}`);
+    }
+    log('   💡 Run npm run init -- --provision to create them and fill in their IDs');
+  }
+  record(
+    'resources',
+    unprovisioned.length > 0 ? 'warn' : 'pass',
+    unprovisioned.map(({ environment, kind, binding }) => ({ environment, kind, binding })),
+    unprovisioned.length > 0 ? 'Run npm run init -- --provision to create them and fill in their IDs' : null
+  );
+  
+  log();
+  return errors === 0 && !parseFailed;
+}
+
+async function checkWorkers(config) {
+  log('🔧 Checking Cloudflare Workers...\n');
+  
+  const { serviceName, environments } = config;
+  const hasConfig = config.source === CONFIG_FILE;
+  
+  const expectedWorkers = environments.map(env => getWorkerName(env, serviceName));
   
   let workersExist = 0;
   
-  // Check if account ID is available
-  const hasEnvAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-  const hasConfigAccountId = accountId && accountId !== 'YOUR_ACCOUNT_ID';
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  if (!accountId) {
+    log('❌ CLOUDFLARE_ACCOUNT_ID environment variable not set and no accountId in worker-config.json');
+    log('   💡 Set CLOUDFLARE_ACCOUNT_ID environment variable or configure accountId in worker-config.json');
+    record('workers', 'warn', 'No Cloudflare account ID available', 'Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+    return false;
+  }
   
-  if (!hasEnvAccountId && !hasConfigAccountId) {
-    console.log('❌ CLOUDFLARE_ACCOUNT_ID environment variable not set and no accountId in worker-config.json');
-    console.log('   💡 Set CLOUDFLARE_ACCOUNT_ID environment variable or configure accountId in worker-config.json');
+  const token = getApiToken();
+  if (!token) {
+    log('❌ No API token to look up the Workers with');
+    log('   💡 Set CLOUDFLARE_API_TOKEN, or run: wrangler login');
+    record('workers', 'warn', 'No Cloudflare API token available', 'Set CLOUDFLARE_API_TOKEN or run wrangler login');
     return false;
   }
   
-  // Check if workers exist by trying to get their deployments
-  // Set account ID via environment variable since --account-id is not supported
-  const originalAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-  if (hasConfigAccountId && !hasEnvAccountId) {
-    process.env.CLOUDFLARE_ACCOUNT_ID = accountId;
+  const client = new CloudflareClient({ token, accountId });
+  let scripts;
+  try {
+    scripts = await client.listScripts();
+  } catch (error) {
+    log(`❌ Could not list the account's Workers: ${error.message}`);
+    const fix = error instanceof CloudflareAuthError
+      ? `Give the token Workers Scripts access on account ${accountId}`
+      : 'Check the network connection, or CLOUDFLARE_API_BASE_URL if it is set';
+    log(`   💡 ${fix}`);
+    log();
+    record('workers', 'warn', error.message, fix);
+    return false;
   }
   
+  const existing = new Set(scripts.map(script => script.id));
+  const missingWorkers = [];
   for (const workerName of expectedWorkers) {
-    const deployments = exec(`wrangler deployments list --name ${workerName}`, { silent: true });
-    if (deployments && !deployments.includes('error') && !deployments.includes('not found') && !deployments.includes('No deployments found') && !deployments.includes('Unknown arguments')) {
-      console.log(`✅ Worker exists: ${workerName}`);
+    if (existing.has(workerName)) {
+      log(`✅ Worker exists: ${workerName}`);
       workersExist++;
     } else {
-      console.log(`❌ Worker not found: ${workerName}`);
+      log(`❌ Worker not found: ${workerName}`);
+      missingWorkers.push(workerName);
     }
   }
   
-  // Restore original account ID
-  if (originalAccountId) {
-    process.env.CLOUDFLARE_ACCOUNT_ID = originalAccountId;
-  } else if (hasConfigAccountId && !hasEnvAccountId) {
-    delete process.env.CLOUDFLARE_ACCOUNT_ID;
-  }
+  // The first deploy creates a missing Worker, so this is a warning rather than a failure
+  record(
+    'workers',
+    missingWorkers.length > 0 ? 'warn' : 'pass',
+    { expected: expectedWorkers, missing: missingWorkers },
+    missingWorkers.length > 0 ? 'Run npm run init to create them, or deploy each environment once' : null
+  );
   
   if (workersExist === 0) {
-    console.log('\n💡 No workers found. Create them with:');
+    log('\n💡 No workers found. Create them with:');
     for (const workerName of expectedWorkers) {
-      console.log(`   wrangler deploy --name ${workerName} --account-id ${accountId} --compatibility-date 2025-01-01 <<< 'export default { fetch() { return new Response("Hello!"); } }'`);
+      log(`   wrangler deploy --name ${workerName} --account-id ${accountId} --compatibility-date 2025-01-01 <<< 'export default { fetch() { return new Response("Hello!"); } }'`);
     }
     
     // Offer automatic provisioning if we have complete config
-    if (hasConfig && accountId !== 'YOUR_ACCOUNT_ID') {
+    if (checkMode) {
+      // --check never changes anything
+    } else if (hasConfig && config.accountId) {
       const answer = await question('\nWould you like to create these workers automatically? (y/n): ');
       if (answer.toLowerCase() === 'y') {
-        await provisionWorkers(serviceName, accountId, expectedWorkers);
-        workersExist = expectedWorkers.length; // Update the count after successful provisioning
+        workersExist = await provisionWorkers(client, expectedWorkers, environments);
       }
     } else if (!hasConfig) {
-      console.log('\n💡 Create worker-config.json with serviceName and accountId for automatic provisioning');
-    } else if (accountId === 'YOUR_ACCOUNT_ID') {
-      console.log('\n💡 Update accountId in worker-config.json for automatic provisioning');
+      log('\n💡 Create worker-config.json with serviceName and accountId for automatic provisioning');
+    } else {
+      log('\n💡 Add accountId to worker-config.json for automatic provisioning');
     }
   }
   
-  console.log();
+  log();
   return workersExist === expectedWorkers.length;
 }
 
-async function provisionWorkers(serviceName, accountId, expectedWorkers) {
-  console.log('\n🏗️  Provisioning Cloudflare Workers...');
+async function checkSecrets(config) {
+  log('🔐 Checking Worker secrets...\n');
   
-  // Set account ID via environment variable since --account-id is not supported
-  const originalAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-  if (accountId && accountId !== 'YOUR_ACCOUNT_ID') {
-    process.env.CLOUDFLARE_ACCOUNT_ID = accountId;
+  const requiresSecrets = config.requiredSecrets.length > 0 || config.environments.some(env => env.requiredSecrets.length > 0);
+  if (!requiresSecrets) {
+    log('ℹ️  No requiredSecrets in worker-config.json\n');
+    record('secrets', 'pass', 'No required secrets configured');
+    return true;
   }
   
-  const environments = [
-    { name: 'dev', message: 'Hello dev!' },
-    { name: 'qa', message: 'Hello qa!' },
-    { name: 'prod', message: 'Hello production!' }
-  ];
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  if (!accountId) {
+    log('⚠️  Cannot list secrets without a Cloudflare account ID');
+    log('   💡 Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json\n');
+    record('secrets', 'warn', 'No Cloudflare account ID available', 'Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+    return false;
+  }
+  if (!token) {
+    log('⚠️  Cannot list secrets without an API token');
+    log('   💡 Set CLOUDFLARE_API_TOKEN, or run: wrangler login\n');
+    record('secrets', 'warn', 'No Cloudflare API token available', 'Set CLOUDFLARE_API_TOKEN or run wrangler login');
+    return false;
+  }
+  
+  let inventory;
+  try {
+    inventory = await getSecretsInventory(new CloudflareClient({ token, accountId }), config);
+  } catch (error) {
+    const fix = error instanceof CloudflareAuthError
+      ? `Give the token Workers Scripts access on account ${accountId}, then run npm run secrets`
+      : 'Check the network connection, then run npm run secrets';
+    log(`⚠️  Could not list secrets: ${error.message}`);
+    log(`   💡 ${fix}\n`);
+    record('secrets', 'warn', error.message, fix);
+    return false;
+  }
+  
+  // Workers that do not exist yet are already reported by the workers check
+  const incomplete = inventory.filter(entry => entry.present !== null && entry.missing.length > 0);
+  for (const entry of inventory) {
+    if (entry.present === null) {
+      log(`ℹ️  ${entry.workerName}: not deployed yet`);
+    } else if (entry.missing.length > 0) {
+      log(`❌ ${entry.workerName} is missing: ${entry.missing.join(', ')}`);
+    } else {
+      log(`✅ ${entry.workerName} has all ${entry.required.length} required secret(s)`);
+    }
+  }
+  const file = config.service ? `.secrets.${config.service.name}.<env>` : '.secrets.<env>';
+  const command = `npm run secrets -- --push${config.service ? ` --service ${config.service.name}` : ''}`;
+  if (incomplete.length > 0) {
+    log(`   💡 Add the values to ${file} and run: ${command}`);
+  }
   
+  record(
+    'secrets',
+    incomplete.length > 0 ? 'fail' : 'pass',
+    incomplete.map(entry => ({ environment: entry.env.name, worker: entry.workerName, missing: entry.missing })),
+    incomplete.length > 0 ? `Add the values to ${file} and run ${command}` : null
+  );
+  
+  log();
+  return incomplete.length === 0;
+}
+
+async function provisionWorkers(client, expectedWorkers, environments) {
+  log('\n🏗️  Provisioning Cloudflare Workers...');
+  
+  let created = 0;
   for (let i = 0; i < expectedWorkers.length; i++) {
     const workerName = expectedWorkers[i];
     const env = environments[i];
     
-    console.log(`📦 Creating worker: ${workerName}`);
-    
-    const workerCode = `export default { fetch() { return new Response("${env.message}"); } }`;
-    const tempFile = `temp-worker-${env.name}.js`;
+    log(`📦 Creating worker: ${workerName}`);
     
+    const workerCode = `export default { fetch() { return new Response("Hello ${env.label}!"); } }`;
     try {
-      // Write temp file
-      fs.writeFileSync(tempFile, workerCode);
-      
-      // Deploy worker (removed --account-id parameter)
-      exec(`wrangler deploy ${tempFile} --name ${workerName} --compatibility-date 2025-01-01`);
-      console.log(`✅ Created: ${workerName}`);
-      
+      await client.uploadScript(workerName, workerCode, { compatibilityDate: '2025-01-01' });
+      await client.enableWorkersDev(workerName);
+      log(`✅ Created: ${workerName}`);
+      created++;
     } catch (error) {
-      console.error(`❌ Failed to create ${workerName}:`, error.message);
-    } finally {
-      // Clean up temp file
-      try {
-        fs.unlinkSync(tempFile);
-      } catch (error) {
-        // Ignore cleanup errors
-      }
+      console.error(`❌ Failed to create ${workerName}: ${error.message}`);
     }
   }
   
-  // Restore original account ID
-  if (originalAccountId) {
-    process.env.CLOUDFLARE_ACCOUNT_ID = originalAccountId;
-  } else if (accountId && accountId !== 'YOUR_ACCOUNT_ID') {
-    delete process.env.CLOUDFLARE_ACCOUNT_ID;
+  log('\n🎉 Worker provisioning complete!');
+  return created;
+}
+
+async function provisionResources(config, { dryRun = false, confirm = false } = {}) {
+  log('\n🗄️  Provisioning KV, R2, D1 and queue resources...\n');
+  
+  const entries = [];
+  for (const env of config.environments) {
+    const file = getWranglerConfigFile(env);
+    const wrangler = readWranglerConfig(file);
+    if (wrangler) entries.push({ env, file, wrangler });
+  }
+  
+  if (planResources(entries, null).length === 0) {
+    log('ℹ️  The wrangler configs declare no KV, R2, D1 or queue bindings');
+    return true;
   }
   
-  console.log('\n🎉 Worker provisioning complete!');
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  if (!accountId) {
+    log('❌ No Cloudflare account ID to look up the resources in');
+    log('   💡 Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+    return false;
+  }
+  if (!token) {
+    log('❌ No API token to look up the resources with');
+    log('   💡 Set CLOUDFLARE_API_TOKEN, or run: wrangler login');
+    return false;
+  }
+  const client = new CloudflareClient({ token, accountId });
+  
+  try {
+    const plan = planResources(entries, await listAccountResources(client));
+    const labels = { ok: '✅ exists', link: '🔗 exists, ID will be written', create: '🆕 will be created' };
+    for (const item of plan) {
+      log(`${item.environment.padEnd(8)} ${describeResource(item)}: ${labels[item.action]}`);
+    }
+    
+    if (plan.every(item => item.action === 'ok')) {
+      log('\n✅ All declared resources exist');
+      return true;
+    }
+    if (dryRun) {
+      log('\n🔍 Dry run: nothing was created or written');
+      return true;
+    }
+    if (confirm) {
+      const answer = await question('\nCreate the missing resources and update the wrangler configs? (y/n): ');
+      if (answer.toLowerCase() !== 'y') return false;
+    }
+    
+    log();
+    const changed = await applyResourcePlan(client, plan, (item) => {
+      log(`✅ ${item.action === 'create' ? 'Created' : 'Linked'}: ${describeResource(item)}`);
+    });
+    for (const file of changed) {
+      log(`📝 Updated: ${file}`);
+    }
+    log('\n🎉 Resource provisioning complete!');
+    return true;
+  } catch (error) {
+    log(`\n❌ ${error.message}`);
+    const fix = error instanceof CloudflareAuthError
+      ? `Give the token KV, R2, D1 and Queues edit access on account ${accountId}`
+      : 'Fix the problem and run again; resources that were created are linked, not duplicated';
+    log(`   💡 ${fix}`);
+    return false;
+  }
 }
 
-async function createWranglerConfigs(serviceName) {
-  console.log('\n📄 Creating wrangler configuration files...');
+async function createWranglerConfigs(serviceName, environments) {
+  log('\n📄 Creating wrangler configuration files...');
   
-  const configs = [
-    { env: 'dev', name: `${serviceName}-dev` },
-    { env: 'qa', name: `${serviceName}-qa` },
-    { env: 'prod', name: `${serviceName}-prod` }
-  ];
+  const configs = environments.map(env => ({
+    env: env.name,
+    name: getWorkerName(env, serviceName),
+    file: getWranglerConfigFile(env)
+  }));
   
   for (const config of configs) {
-    const filename = `wrangler.${config.env}.toml`;
+    const filename = config.file;
     
     if (fs.existsSync(filename)) {
-      console.log(`ℹ️  ${filename} already exists, skipping...`);
+      log(`ℹ️  ${filename} already exists, skipping...`);
       continue;
     }
     
@@ -362,36 +757,42 @@ compatibility_date = "2025-01-01"
 # [vars]
 # ENVIRONMENT = "${config.env}"
 
-# Uncomment and configure if you need KV namespaces
+# Uncomment the bindings you need, then run npm run init -- --provision
+# to create the resources and fill in their IDs
+
 # [[kv_namespaces]]
 # binding = "MY_KV"
 # id = "your-${config.env}-kv-namespace-id"
 
-# Uncomment and configure if you need R2 buckets
 # [[r2_buckets]]
 # binding = "MY_BUCKET"
 # bucket_name = "${serviceName}-${config.env}-bucket"
+
+# [[d1_databases]]
+# binding = "DB"
+# database_name = "${config.name}-db"
+# database_id = "your-${config.env}-d1-database-id"
+
+# [[queues.producers]]
+# binding = "MY_QUEUE"
+# queue = "${config.name}-queue"
 `;
     
     try {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
       fs.writeFileSync(filename, content);
-      console.log(`✅ Created: ${filename}`);
+      log(`✅ Created: ${filename}`);
     } catch (error) {
       console.error(`❌ Failed to create ${filename}:`, error.message);
     }
   }
 }
 
-async function updateWorkflowFiles(serviceName, workersDomain) {
-  console.log('\n📝 Updating GitHub Actions workflow files...');
+async function updateWorkflowFiles(serviceName, workersDomain, environments) {
+  log('\n📝 Updating GitHub Actions workflow files...');
   
-  const workflowFiles = [
-    '.github/workflows/deploy-dev.yml',
-    '.github/workflows/deploy-qa.yml',
-    '.github/workflows/deploy-prod.yml'
-  ];
-  
-  for (const file of workflowFiles) {
+  for (const env of environments) {
+    const file = getWorkflowFile(env);
     if (fs.existsSync(file)) {
       try {
         let content = fs.readFileSync(file, 'utf8');
@@ -401,170 +802,474 @@ async function updateWorkflowFiles(serviceName, workersDomain) {
         content = content.replace(/workers_domain: 'my-domain\.workers\.dev'/g, `workers_domain: '${workersDomain}'`);
         
         fs.writeFileSync(file, content);
-        console.log(`✅ Updated: ${file}`);
+        log(`✅ Updated: ${file}`);
       } catch (error) {
         console.error(`❌ Failed to update ${file}:`, error.message);
       }
     } else {
-      console.log(`ℹ️  File not found: ${file}`);
+      log(`ℹ️  File not found: ${file}${env.service ? ' (create it with npm run init -- --fix)' : ''}`);
+    }
+  }
+}
+
+function quoteYaml(value) {
+  return ['true', 'false'].includes(value) ? value : `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * The caller workflow of a service in one environment, deploy-<service>-<env>.yml:
+ * it triggers on the service's tags (or on pushes that touch its directory, for
+ * the branch-deployed environment) and passes deploy.yml the service's Worker
+ * name, wrangler config and build. The other inputs come from deploy-<env>.yml.
+ */
+function renderServiceWorkflow(service, env, baseInputs, workersDomain) {
+  const trigger = env.deployFrom === 'branch'
+    ? ['    branches:', `      - ${env.branch}`, ...(service.directory === '.' ? [] : ['    paths:', `      - '${service.directory}/**'`])]
+    : ['    tags:', `      - '${env.tagPrefix}*'       # ${service.name} ${env.label} tags (${env.tagPrefix}1.2.3)`];
+  const inputs = [
+    `      wrangler_config: ${env.wranglerConfig}`,
+    ...(service.buildScript ? [`      build_command: npm run ${service.buildScript}`] : []),
+    ...['node_version', 'workers_domain', 'deployment_url_pattern', 'run_security_scan', 'rollout']
+      .map(key => [key, key === 'workers_domain' ? workersDomain : baseInputs[key]])
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `      ${key}: ${quoteYaml(value)}`)
+  ];
+
+  return `# ${path.basename(getWorkflowFile(env))} - ${env.label} deployment of the ${service.name} service
+name: Deploy ${service.name} to ${env.label}
+
+on:
+  push:
+${trigger.join('\n')}
+  workflow_dispatch:
+    inputs:
+      tag:
+        description: 'Tag to deploy (optional)'
+        required: false
+        default: ''
+
+jobs:
+  deploy:
+    uses: ./.github/workflows/deploy.yml
+    with:
+      environment: ${env.name}
+      service_name: ${service.workerName}
+      repository: \${{ github.repository }}
+${inputs.join('\n')}
+    secrets:
+      CLOUDFLARE_API_TOKEN: \${{ secrets.CLOUDFLARE_API_TOKEN }}
+      CLOUDFLARE_ACCOUNT_ID: \${{ secrets.CLOUDFLARE_ACCOUNT_ID }}
+`;
+}
+
+// Service tags (api-prod-1.2.3) match none of the deploy-<env>.yml triggers, so each service gets its own
+async function fixServiceWorkflows(config) {
+  if (config.services.length === 0) return;
+  log('\n📝 Creating the caller workflows of each service...');
+  
+  for (const scope of getServiceConfigs(config)) {
+    for (const env of scope.environments) {
+      const file = getWorkflowFile(env);
+      if (fs.existsSync(file)) {
+        log(`ℹ️  ${file} already exists, skipping...`);
+        continue;
+      }
+      
+      // The environment's own caller workflow holds the inputs every service shares
+      const base = config.environments.find(candidate => candidate.name === env.name);
+      const content = renderServiceWorkflow(scope.service, env, readWorkflowInputs(base) || {}, config.workersDomain);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await confirmAndWrite(file, null, content);
     }
   }
 }
 
-async function checkPackageScripts() {
-  console.log('📦 Checking package.json scripts...\n');
+async function checkPackageScripts(config) {
+  log('📦 Checking package.json scripts...\n');
   
   if (!fs.existsSync('package.json')) {
-    console.log('❌ package.json not found');
+    log('❌ package.json not found');
+    record('package-scripts', 'fail', 'package.json not found', 'Create package.json');
     return false;
   }
   
   const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
   const scripts = pkg.scripts || {};
   
-  const requiredScripts = [
-    'build',
-    'tag:create',
-    'tag:status'
-  ];
-  
-  const recommendedScripts = [
-    'build:dev',
-    'build:qa',
-    'build:prod'
-  ];
+  const expected = getExpectedScripts(config);
+  const requiredScripts = Object.keys(expected.required);
+  const recommendedScripts = Object.keys(expected.recommended);
   
   let hasRequired = true;
+  const missingRequired = [];
+  const missingRecommended = [];
   
   for (const script of requiredScripts) {
     if (scripts[script]) {
-      console.log(`✅ Script exists: ${script}`);
+      log(`✅ Script exists: ${script}`);
     } else {
-      console.log(`❌ Missing required script: ${script}`);
+      log(`❌ Missing required script: ${script}`);
       hasRequired = false;
+      missingRequired.push(script);
     }
   }
   
   for (const script of recommendedScripts) {
     if (scripts[script]) {
-      console.log(`✅ Script exists: ${script}`);
+      log(`✅ Script exists: ${script}`);
     } else {
-      console.log(`ℹ️  Recommended script missing: ${script}`);
+      log(`ℹ️  Recommended script missing: ${script}`);
+      missingRecommended.push(script);
     }
   }
   
-  console.log();
+  // deploy.yml runs build:<env> unless the workflow sets build_command
+  record(
+    'package-scripts',
+    missingRequired.length > 0 ? 'fail' : missingRecommended.length > 0 ? 'warn' : 'pass',
+    { missingRequired, missingRecommended },
+    missingRequired.length + missingRecommended.length > 0
+      ? 'Run npm run init -- --fix to add the missing scripts'
+      : null
+  );
+  
+  if (!checkMode && missingRequired.length + missingRecommended.length > 0) {
+    log('\n💡 Add them with: npm run init -- --fix');
+  }
+  
+  log();
   return hasRequired;
 }
 
+// Scripts the bundle expects, with the commands --fix adds (as in package.example.json).
+// Services build with their own buildScript, which their caller workflows pass as build_command.
+function getExpectedScripts(config) {
+  const services = config.services.filter(service => service.buildScript);
+  return {
+    required: {
+      build: "echo 'Add your build command here'",
+      'tag:create': 'node scripts/create-tag.js',
+      'tag:status': 'node scripts/deployment-status.js',
+      ...Object.fromEntries(services.map(service => [service.buildScript, `npm --prefix ${service.directory} run build`]))
+    },
+    recommended: config.services.length > 0
+      ? {}
+      : Object.fromEntries(config.environments.map(env => [`build:${env.name}`, 'npm run build']))
+  };
+}
+
+async function confirmAndWrite(file, before, after) {
+  const diff = formatDiff(file, before, after);
+  if (!diff) {
+    log(`✅ ${file} is up to date`);
+    return false;
+  }
+  
+  log(`\n${diff}\n`);
+  const answer = await question(`Write these changes to ${file}? (y/n): `);
+  if (answer.toLowerCase() !== 'y') {
+    log(`ℹ️  ${file} left unchanged`);
+    return false;
+  }
+  
+  fs.writeFileSync(file, after);
+  log(`✅ Updated: ${file}`);
+  return true;
+}
+
+async function fixPackageScripts(config) {
+  log('\n📦 Adding missing package.json scripts...');
+  
+  if (!fs.existsSync('package.json')) {
+    log('❌ package.json not found. Create it with npm init first.');
+    return;
+  }
+  
+  const before = fs.readFileSync('package.json', 'utf8');
+  const pkg = JSON.parse(before);
+  const scripts = pkg.scripts || {};
+  const expected = getExpectedScripts(config);
+  
+  // Existing entries are never changed, even if they differ from the defaults
+  const missing = Object.fromEntries(
+    Object.entries({ ...expected.required, ...expected.recommended }).filter(([name]) => !(name in scripts))
+  );
+  pkg.scripts = { ...scripts, ...missing };
+  
+  const indent = (before.match(/^[ \t]+(?=")/m) || ['  '])[0];
+  const after = `${JSON.stringify(pkg, null, indent)}${before.endsWith('\n') ? '\n' : ''}`;
+  await confirmAndWrite('package.json', before, after);
+}
+
+function toServiceName(value) {
+  // "@scope/My Service" → "my-service"
+  return (value || '')
+    .replace(/^@[^/]+\//, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 53) || null;
+}
+
+function getConfigDefaults(environments) {
+  let packageName = null;
+  try {
+    packageName = JSON.parse(fs.readFileSync('package.json', 'utf8')).name;
+  } catch (error) {
+    // No usable package.json
+  }
+  const origin = exec('git config --get remote.origin.url', { silent: true });
+  const repoName = origin ? origin.replace(/\.git$/, '').split(/[/:]/).pop() : null;
+  
+  // A workflow that was already edited by hand knows the real domain
+  const workflowDomain = environments
+    .map(env => (readWorkflowInputs(env) || {}).workers_domain)
+    .find(domain => domain && domain !== 'my-domain.workers.dev');
+  
+  const whoami = process.env.CLOUDFLARE_ACCOUNT_ID ? null : exec('wrangler whoami', { silent: true });
+  const accountIds = process.env.CLOUDFLARE_ACCOUNT_ID
+    ? [process.env.CLOUDFLARE_ACCOUNT_ID]
+    : [...new Set((whoami || '').match(/\b[0-9a-f]{32}\b/g) || [])];
+  
+  return {
+    serviceName: toServiceName(packageName) || toServiceName(repoName),
+    workersDomain: workflowDomain || null,
+    accountIds
+  };
+}
+
+async function askConfigValue(key, prompt, defaultValue, optional = false) {
+  for (;;) {
+    const hint = defaultValue ? ` [${defaultValue}]` : optional ? ' (optional)' : '';
+    const answer = (await question(`${prompt}${hint}: `)).trim() || defaultValue || '';
+    if (!answer && optional) return null;
+    
+    // Validate the single value against the schema, with placeholders for the other required keys
+    const problem = answer
+      ? validateConfig({ serviceName: 'placeholder', workersDomain: 'placeholder.workers.dev', [key]: answer })
+        .find(candidate => candidate.path === key)
+      : { message: 'a value is required' };
+    if (!problem) return answer;
+    
+    log(`   ❌ ${key}: ${problem.message}`);
+    if (problem.fix) log(`   💡 ${problem.fix}`);
+  }
+}
+
+async function scaffoldWorkerConfig(environments) {
+  log('\n📝 Creating worker-config.json...');
+  
+  if (fs.existsSync(CONFIG_FILE)) {
+    log(`ℹ️  ${CONFIG_FILE} already exists, skipping...`);
+    return;
+  }
+  
+  const defaults = getConfigDefaults(environments);
+  if (defaults.accountIds.length > 1) {
+    log(`ℹ️  Accounts available to this login: ${defaults.accountIds.join(', ')}`);
+  }
+  
+  const config = {
+    $schema: './scripts/worker-config.schema.json',
+    serviceName: await askConfigValue('serviceName', 'Service name', defaults.serviceName),
+    workersDomain: await askConfigValue('workersDomain', 'workers.dev subdomain (e.g. my-subdomain.workers.dev)', defaults.workersDomain)
+  };
+  const accountId = await askConfigValue('accountId', 'Cloudflare account ID', defaults.accountIds[0], true);
+  if (accountId) config.accountId = accountId;
+  
+  await confirmAndWrite(CONFIG_FILE, null, `${JSON.stringify(config, null, 2)}\n`);
+}
+
+async function runFixes() {
+  // Defaults are enough to know the environments before worker-config.json exists
+  await scaffoldWorkerConfig(loadConfig().environments);
+  await fixPackageScripts(loadConfig());
+  await fixServiceWorkflows(loadConfig());
+  log('\n✅ Done. Run npm run init to validate the full setup.');
+}
+
 async function showNextSteps() {
-  console.log('\n📋 Next Steps:\n');
+  log('\n📋 Next Steps:\n');
   
-  console.log('1. Configure GitHub repository secrets:');
-  console.log('   - CLOUDFLARE_API_TOKEN');
-  console.log('   - CLOUDFLARE_ACCOUNT_ID\n');
+  log('1. Configure GitHub repository secrets:');
+  log('   - CLOUDFLARE_API_TOKEN');
+  log('   - CLOUDFLARE_ACCOUNT_ID\n');
   
-  console.log('2. Test development deployment:');
-  console.log('   git push origin main\n');
+  log('2. Test development deployment:');
+  log('   git push origin main\n');
   
-  console.log('3. Create QA deployment:');
-  console.log('   npm run tag:create\n');
+  log('3. Create QA deployment:');
+  log('   npm run tag:create\n');
   
-  console.log('4. Check deployment status:');
-  console.log('   npm run tag:status\n');
+  log('4. Check deployment status:');
+  log('   npm run tag:status\n');
+  
+  log('For more details, see the README.md file');
+}
+
+async function runChecks(options) {
+  // Every check runs, even after a failure, so one report lists all problems
+  await checkPrerequisites();
+  await checkGitRepository();
+  
+  let config = null;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    log(`❌ ${error.message}\n`);
+    record('worker-config', 'fail', error.problems || error.message, 'Fix worker-config.json as described for each problem');
+  }
+  
+  await checkCloudflare(config);
+  
+  if (config) {
+    await checkEnvironmentFiles(config);
+    await forEachService(config, checkWranglerConfigs);
+    await forEachService(config, checkWorkers);
+    await forEachService(config, checkSecrets);
+    await checkPackageScripts(config);
+  }
+  
+  const count = (status) => report.filter(check => check.status === status).length;
+  const summary = { pass: count('pass'), warn: count('warn'), fail: count('fail') };
+  const status = summary.fail > 0 ? 'fail' : summary.warn > 0 ? 'warn' : 'pass';
+  const output = JSON.stringify({ schemaVersion: 1, status, summary, checks: report }, null, 2);
+  
+  if (options.report) {
+    fs.writeFileSync(options.report, `${output}\n`);
+    log(`📝 Report written to ${options.report}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+  log(`${status === 'pass' ? '✅' : status === 'warn' ? '⚠️ ' : '❌'} ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`);
   
-  console.log('For more details, see the README.md file');
+  process.exitCode = EXIT_CODES[status];
 }
 
 async function main() {
-  console.log('🚀 Cloudflare Workers Environment Validation\n');
+  const options = parseOptions();
+  if (options.help) {
+    log(USAGE);
+    return;
+  }
+  checkMode = options.check || options.ci;
+  
+  log('🚀 Cloudflare Workers Environment Validation\n');
+  
+  if (options.fix) {
+    try {
+      await runFixes();
+    } catch (error) {
+      console.error(`\n❌ ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      rl?.close();
+    }
+    return;
+  }
+  
+  if (options.provision) {
+    try {
+      const results = await forEachService(loadConfig(), scope => provisionResources(scope, { dryRun: options['dry-run'] }));
+      process.exitCode = results.every(Boolean) ? 0 : 1;
+    } catch (error) {
+      console.error(`\n❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
+  if (checkMode) {
+    try {
+      await runChecks(options);
+    } catch (error) {
+      console.error(`\n❌ Error during validation: ${error.message}`);
+      process.exit(EXIT_CODES.error);
+    }
+    return;
+  }
   
   try {
+    const config = loadConfig();
+
     const prerequisitesPassed = await checkPrerequisites();
     if (!prerequisitesPassed) {
-      console.log('\n⚠️  Please install missing prerequisites before continuing.');
+      log('\n⚠️  Please install missing prerequisites before continuing.');
       process.exit(1);
     }
     
     const gitOk = await checkGitRepository();
     if (!gitOk) {
-      console.log('\n⚠️  Please configure Git repository access before continuing.');
+      log('\n⚠️  Please configure Git repository access before continuing.');
       process.exit(1);
     }
     
-    const cloudflareOk = await checkCloudflare();
+    const cloudflareOk = await checkCloudflare(config);
+    if (!cloudflareOk && process.env.CLOUDFLARE_API_TOKEN) {
+      log('\n⚠️  Fix CLOUDFLARE_API_TOKEN before continuing; wrangler would use it instead of a login.');
+      process.exit(1);
+    }
     if (!cloudflareOk) {
       const answer = await question('\nWould you like to login to Cloudflare now? (y/n): ');
       if (answer.toLowerCase() === 'y') {
-        console.log('\nOpening Cloudflare login...');
+        log('\nOpening Cloudflare login...');
         exec('wrangler login');
-        console.log('\nPlease complete the login process and run this script again.');
+        log('\nPlease complete the login process and run this script again.');
       }
       process.exit(1);
     }
     
-    const { criticalMissing, wranglerMissing } = await checkEnvironmentFiles();
+    const { criticalMissing, wranglerMissing } = await checkEnvironmentFiles(config);
     if (criticalMissing) {
-      console.log('\n⚠️  Required files are missing. Please create them before continuing.');
+      log('\n⚠️  Required files are missing. Please create them before continuing.');
       process.exit(1);
     }
     
-    const workersOk = await checkWorkers();
+    const wranglerOk = (await forEachService(config, checkWranglerConfigs)).every(Boolean);
+    if (!wranglerOk) {
+      log('\n⚠️  Wrangler configuration files have problems that will break or skew deployments.');
+    }
+    
+    const workersOk = (await forEachService(config, checkWorkers)).every(Boolean);
     if (!workersOk) {
-      console.log('\n⚠️  Some Cloudflare Workers are missing. Please create them before continuing.');
+      log('\n⚠️  Some Cloudflare Workers are missing. Please create them before continuing.');
+    }
+    
+    const secretsOk = (await forEachService(config, checkSecrets)).every(Boolean);
+    if (!secretsOk) {
+      log('\n⚠️  Some Workers are missing required secrets. Push them with npm run secrets -- --push.');
     }
     
-    const scriptsOk = await checkPackageScripts();
+    const scriptsOk = await checkPackageScripts(config);
     if (!scriptsOk) {
-      console.log('\n⚠️  Required package.json scripts are missing. Please add them before continuing.');
+      log('\n⚠️  Required package.json scripts are missing. Please add them before continuing.');
     }
     
     // Offer to create wrangler configs if missing
     if (wranglerMissing) {
-      let serviceName = 'my-service';
-      
-      // Try to get service name from config or package.json
-      if (fs.existsSync('worker-config.json')) {
-        try {
-          const config = JSON.parse(fs.readFileSync('worker-config.json', 'utf8'));
-          serviceName = config.serviceName || serviceName;
-        } catch (error) {
-          // Use default
-        }
-      } else if (fs.existsSync('package.json')) {
-        try {
-          const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-          serviceName = pkg.name || serviceName;
-        } catch (error) {
-          // Use default
-        }
-      }
-      
       const answer = await question('\nWould you like to create missing wrangler configuration files? (y/n): ');
       if (answer.toLowerCase() === 'y') {
-        await createWranglerConfigs(serviceName);
+        await forEachService(config, scope => createWranglerConfigs(scope.serviceName, scope.environments));
       }
     }
     
+    // Offer to create the resources the wrangler configs declare
+    if (!wranglerMissing) {
+      await forEachService(config, scope => provisionResources(scope, { confirm: true }));
+    }
+    
     // Offer to update workflow files if config exists
-    if (fs.existsSync('worker-config.json')) {
-      try {
-        const config = JSON.parse(fs.readFileSync('worker-config.json', 'utf8'));
-        if (config.serviceName && config.workersDomain) {
-          const answer = await question('\nWould you like to update GitHub Actions workflow files with your configuration? (y/n): ');
-          if (answer.toLowerCase() === 'y') {
-            await updateWorkflowFiles(config.serviceName, config.workersDomain);
-          }
-        }
-      } catch (error) {
-        // Ignore config errors
+    if (config.source === CONFIG_FILE) {
+      const answer = await question('\nWould you like to update GitHub Actions workflow files with your configuration? (y/n): ');
+      if (answer.toLowerCase() === 'y') {
+        await forEachService(config, scope => updateWorkflowFiles(scope.serviceName, config.workersDomain, scope.environments));
       }
     }
     
-    if (workersOk && scriptsOk) {
-      console.log('\n✅ Environment validation complete! Everything looks good.');
+    if (workersOk && secretsOk && scriptsOk && wranglerOk) {
+      log('\n✅ Environment validation complete! Everything looks good.');
     } else {
-      console.log('\n⚠️  Environment validation completed with warnings. Please address the issues above.');
+      log('\n⚠️  Environment validation completed with warnings. Please address the issues above.');
     }
     
     await showNextSteps();
@@ -573,7 +1278,7 @@ async function main() {
     console.error('\n❌ Error during validation:', error.message);
     process.exit(1);
   } finally {
-    rl.close();
+    rl?.close();
   }
 }
 
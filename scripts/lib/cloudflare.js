@@ -0,0 +1,390 @@
+import { existsSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseToml } from './toml.js';
+
+// Cloudflare REST API client. CLOUDFLARE_API_BASE_URL points the scripts at a
+// local stub instead of api.cloudflare.com.
+
+export const DEFAULT_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+const TIMEOUT_MS = 10000;
+
+export function getApiBaseUrl() {
+  return (process.env.CLOUDFLARE_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Thrown when an API call fails. `status` is the HTTP status (null when the
+ * API could not be reached) and `errors` the API's { code, message } list.
+ */
+export class CloudflareApiError extends Error {
+  constructor(message, { status = null, errors = [] } = {}) {
+    super(message);
+    this.name = 'CloudflareApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// The token is invalid or lacks a permission (HTTP 401/403)
+export class CloudflareAuthError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareAuthError';
+  }
+}
+
+export class CloudflareNotFoundError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareNotFoundError';
+  }
+}
+
+export class CloudflareRateLimitError extends CloudflareApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudflareRateLimitError';
+  }
+}
+
+// The API could not be reached or did not answer in time
+export class CloudflareNetworkError extends CloudflareApiError {
+  constructor(message) {
+    super(message);
+    this.name = 'CloudflareNetworkError';
+  }
+}
+
+function toApiError(message, status, errors) {
+  const details = { status, errors };
+  if (status === 401 || status === 403) return new CloudflareAuthError(message, details);
+  if (status === 404) return new CloudflareNotFoundError(message, details);
+  if (status === 429) return new CloudflareRateLimitError(message, details);
+  return new CloudflareApiError(message, details);
+}
+
+// Where `wrangler login` keeps its OAuth token, by platform and wrangler version
+function getWranglerAuthFiles() {
+  const home = os.homedir();
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  return [
+    path.join(configHome, '.wrangler', 'config', 'default.toml'),
+    path.join(home, 'Library', 'Preferences', '.wrangler', 'config', 'default.toml'),
+    path.join(home, '.wrangler', 'config', 'default.toml')
+  ];
+}
+
+/**
+ * The token the scripts call the API with: CLOUDFLARE_API_TOKEN, or else the
+ * OAuth token of `wrangler login` while it is valid (any wrangler command
+ * refreshes it). Returns null when there is neither.
+ */
+export function getApiToken() {
+  if (process.env.CLOUDFLARE_API_TOKEN) return process.env.CLOUDFLARE_API_TOKEN;
+
+  for (const file of getWranglerAuthFiles()) {
+    if (!existsSync(file)) continue;
+    try {
+      const auth = parseToml(readFileSync(file, 'utf8'));
+      const expired = auth.expiration_time && Date.parse(auth.expiration_time) <= Date.now();
+      if (auth.oauth_token && !expired) return auth.oauth_token;
+    } catch (error) {
+      // An unreadable wrangler config is the same as not being logged in
+    }
+  }
+  return null;
+}
+
+// What deploys need, as token permission groups and a read-only endpoint that proves access
+export const TOKEN_PERMISSIONS = [
+  { kind: 'workers', label: 'Workers Scripts: Edit', group: 'Workers Scripts Write', probe: 'workers/scripts' },
+  { kind: 'kv', label: 'Workers KV Storage: Edit', group: 'Workers KV Storage Write', probe: 'storage/kv/namespaces' },
+  { kind: 'r2', label: 'Workers R2 Storage: Edit', group: 'Workers R2 Storage Write', probe: 'r2/buckets' },
+  { kind: 'd1', label: 'D1: Edit', group: 'D1 Write', probe: 'd1/database' }
+];
+
+function policyCovers(policy, accountId, group) {
+  const resources = Object.keys(policy.resources || {});
+  return (policy.permission_groups || []).some(permission => permission.name === group)
+    && resources.some(resource => resource === `com.cloudflare.api.account.${accountId}` || resource === 'com.cloudflare.api.account.*');
+}
+
+/**
+ * A client for one account. Methods throw CloudflareApiError subclasses;
+ * list methods follow the API's pagination and return every item.
+ */
+export class CloudflareClient {
+  constructor({ token, accountId = null, baseUrl = getApiBaseUrl() }) {
+    this.token = token;
+    this.accountId = accountId;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  accountPath(suffix) {
+    if (!this.accountId) {
+      throw new CloudflareApiError('No Cloudflare account ID: set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+    }
+    return `/accounts/${this.accountId}${suffix}`;
+  }
+
+  /**
+   * Sends one request and returns { result, resultInfo }. `body` is sent as
+   * JSON unless it is FormData.
+   */
+  async request(method, apiPath, { query = {}, body } = {}) {
+    const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== null));
+    const url = `${this.baseUrl}${apiPath}${search.toString() ? `?${search}` : ''}`;
+    const headers = { Authorization: `Bearer ${this.token}` };
+    if (body !== undefined && !(body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS} ms` : error.cause?.message || error.message;
+      throw new CloudflareNetworkError(`Cannot reach ${this.baseUrl}: ${reason}`);
+    }
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Reported below as a plain HTTP error
+    }
+
+    if (!response.ok || !payload || payload.success === false) {
+      const errors = (payload && payload.errors) || [];
+      const detail = errors.map(error => `${error.message} (code ${error.code})`).join('; ') || `HTTP ${response.status}`;
+      throw toApiError(`${method} ${apiPath} failed: ${detail}`, response.status, errors);
+    }
+    return { result: payload.result, resultInfo: payload.result_info || null };
+  }
+
+  async get(apiPath, query) {
+    return (await this.request('GET', apiPath, { query })).result;
+  }
+
+  /**
+   * Collects every page of a list endpoint, following page numbers or
+   * cursors, whichever the endpoint returns. `items` picks the list out of
+   * results that wrap it, like { items: [...] }.
+   */
+  async paginate(apiPath, { query = {}, perPage = 100, items = result => result } = {}) {
+    const all = [];
+    let page = 1;
+    let cursor = null;
+    for (;;) {
+      const { result, resultInfo } = await this.request('GET', apiPath, {
+        query: { ...query, per_page: perPage, ...(cursor ? { cursor } : { page }) }
+      });
+      const batch = items(result) || [];
+      all.push(...batch);
+
+      if (resultInfo && resultInfo.cursor && batch.length > 0) {
+        cursor = resultInfo.cursor;
+      } else if (resultInfo && resultInfo.total_pages && page < resultInfo.total_pages && batch.length > 0) {
+        page++;
+      } else {
+        return all;
+      }
+    }
+  }
+
+  /**
+   * Verifies the client's token. Account-owned tokens are only known to the
+   * account endpoint, so that is tried when the user endpoint rejects the
+   * token. Returns { id, status, expires_on, not_before, owner } where owner
+   * is "user" or "account".
+   */
+  async verifyToken() {
+    try {
+      return { ...(await this.get('/user/tokens/verify')), owner: 'user' };
+    } catch (error) {
+      if (!this.accountId || error instanceof CloudflareNetworkError) throw error;
+      try {
+        return { ...(await this.get(this.accountPath('/tokens/verify'))), owner: 'account' };
+      } catch (accountError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Checks that a verified token has the permissions for `kinds` ("workers",
+   * "kv", "r2", "d1") on the account. The token's policies are read when it
+   * is allowed to (API Tokens: Read); otherwise each permission is probed
+   * with a read-only call, which proves access to the account but not edit
+   * rights.
+   *
+   * Returns { method: "policies" | "probe", results: [{ kind, label, ok, detail }] }.
+   */
+  async checkTokenPermissions(tokenInfo, kinds) {
+    const permissions = TOKEN_PERMISSIONS.filter(permission => kinds.includes(permission.kind));
+    const tokenPath = tokenInfo.owner === 'account' ? this.accountPath(`/tokens/${tokenInfo.id}`) : `/user/tokens/${tokenInfo.id}`;
+
+    let policies = null;
+    try {
+      policies = (await this.get(tokenPath)).policies || [];
+    } catch (error) {
+      if (error instanceof CloudflareNetworkError) throw error;
+    }
+
+    if (policies) {
+      const results = permissions.map(permission => {
+        const covering = policies.filter(policy => policyCovers(policy, this.accountId, permission.group));
+        const ok = covering.some(policy => policy.effect === 'allow') && !covering.some(policy => policy.effect === 'deny');
+        return {
+          kind: permission.kind,
+          label: permission.label,
+          ok,
+          detail: `${ok ? 'granted' : 'not granted'} on account ${this.accountId}`
+        };
+      });
+      return { method: 'policies', results };
+    }
+
+    const results = [];
+    for (const permission of permissions) {
+      try {
+        await this.get(this.accountPath(`/${permission.probe}`));
+        results.push({ kind: permission.kind, label: permission.label, ok: true, detail: 'account access confirmed (read-only probe)' });
+      } catch (error) {
+        if (error instanceof CloudflareNetworkError) throw error;
+        results.push({ kind: permission.kind, label: permission.label, ok: false, detail: error.message });
+      }
+    }
+    return { method: 'probe', results };
+  }
+
+  // Worker scripts of the account: [{ id, created_on, modified_on, ... }], `id` being the Worker name
+  async listScripts() {
+    return this.paginate(this.accountPath('/workers/scripts'));
+  }
+
+  // Settings of a Worker: { bindings: [{ type, name, text, ... }], compatibility_date, ... }
+  async getScriptSettings(scriptName) {
+    return this.get(this.accountPath(`/workers/scripts/${scriptName}/settings`));
+  }
+
+  // Deletes a Worker; fails while other Workers are bound to it
+  async deleteScript(scriptName) {
+    return (await this.request('DELETE', this.accountPath(`/workers/scripts/${scriptName}`))).result;
+  }
+
+  // Secrets of a Worker, names and types only: [{ name, type }]
+  async listScriptSecrets(scriptName) {
+    return this.get(this.accountPath(`/workers/scripts/${scriptName}/secrets`));
+  }
+
+  // Deployments of a Worker, newest first: [{ id, created_on, source, strategy, versions }]
+  async listDeployments(scriptName) {
+    return this.paginate(this.accountPath(`/workers/scripts/${scriptName}/deployments`), {
+      items: result => result.deployments
+    });
+  }
+
+  /**
+   * Deploys uploaded versions of a Worker, splitting traffic between them:
+   * `versions` is [{ versionId, percentage }] adding up to 100.
+   */
+  async createDeployment(scriptName, versions, { message = null } = {}) {
+    const body = {
+      strategy: 'percentage',
+      versions: versions.map(({ versionId, percentage }) => ({ version_id: versionId, percentage })),
+      ...(message ? { annotations: { 'workers/message': message } } : {})
+    };
+    return (await this.request('POST', this.accountPath(`/workers/scripts/${scriptName}/deployments`), { body })).result;
+  }
+
+  // Uploaded versions of a Worker: [{ id, number, metadata, ... }]
+  async listVersions(scriptName) {
+    return this.paginate(this.accountPath(`/workers/scripts/${scriptName}/versions`), {
+      perPage: 50,
+      items: result => result.items
+    });
+  }
+
+  // Zones of the account: [{ id, name, status, ... }]
+  async listZones() {
+    return this.paginate('/zones', { query: { 'account.id': this.accountId }, perPage: 50 });
+  }
+
+  // Worker routes of one zone: [{ id, pattern, script }]
+  async listRoutes(zoneId) {
+    return this.get(`/zones/${zoneId}/workers/routes`);
+  }
+
+  // Worker routes across all zones of the account: [{ id, pattern, script, zone }]
+  async listAccountRoutes() {
+    const routes = [];
+    for (const zone of await this.listZones()) {
+      for (const route of await this.listRoutes(zone.id)) {
+        routes.push({ ...route, zone: zone.name });
+      }
+    }
+    return routes;
+  }
+
+  // KV namespaces of the account: [{ id, title }]
+  async listKvNamespaces() {
+    return this.paginate(this.accountPath('/storage/kv/namespaces'));
+  }
+
+  // Returns { id, title }
+  async createKvNamespace(title) {
+    return (await this.request('POST', this.accountPath('/storage/kv/namespaces'), { body: { title } })).result;
+  }
+
+  // R2 buckets of the account: [{ name, creation_date }]
+  async listR2Buckets() {
+    return this.paginate(this.accountPath('/r2/buckets'), { items: result => result.buckets });
+  }
+
+  async createR2Bucket(name) {
+    return (await this.request('POST', this.accountPath('/r2/buckets'), { body: { name } })).result;
+  }
+
+  // D1 databases of the account: [{ uuid, name }]
+  async listD1Databases() {
+    return this.paginate(this.accountPath('/d1/database'));
+  }
+
+  // Returns { uuid, name }
+  async createD1Database(name) {
+    return (await this.request('POST', this.accountPath('/d1/database'), { body: { name } })).result;
+  }
+
+  // Queues of the account: [{ queue_id, queue_name }]
+  async listQueues() {
+    return this.paginate(this.accountPath('/queues'));
+  }
+
+  async createQueue(name) {
+    return (await this.request('POST', this.accountPath('/queues'), { body: { queue_name: name } })).result;
+  }
+
+  /**
+   * Uploads a single-module Worker and deploys it, creating the Worker if it
+   * does not exist.
+   */
+  async uploadScript(scriptName, code, { compatibilityDate }) {
+    const form = new FormData();
+    form.append('metadata', new Blob([JSON.stringify({ main_module: 'index.js', compatibility_date: compatibilityDate })], { type: 'application/json' }));
+    form.append('index.js', new Blob([code], { type: 'application/javascript+module' }), 'index.js');
+    return (await this.request('PUT', this.accountPath(`/workers/scripts/${scriptName}`), { body: form })).result;
+  }
+
+  // Serves a Worker on its workers.dev URL, as `wrangler deploy` does by default
+  async enableWorkersDev(scriptName) {
+    return (await this.request('POST', this.accountPath(`/workers/scripts/${scriptName}/subdomain`), { body: { enabled: true } })).result;
+  }
+}
@@ -0,0 +1,260 @@
+import { existsSync, readFileSync } from 'fs';
+import { loadEnvironments } from './environments.js';
+import { DEFAULT_ROLLOUT_STEPS, validateRolloutSteps } from './rollout.js';
+import { loadServices } from './services.js';
+
+export const CONFIG_FILE = 'worker-config.json';
+
+const SCHEMA_URL = new URL('../worker-config.schema.json', import.meta.url);
+
+/**
+ * Thrown when worker-config.json cannot be parsed or does not match the schema.
+ * `problems` holds one { path, message, fix } entry per violation.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    const lines = problems.map(problem => {
+      const fix = problem.fix ? `\n     💡 ${problem.fix}` : '';
+      return `  • ${problem.path || '(root)'}: ${problem.message}${fix}`;
+    });
+    super(`${CONFIG_FILE} is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${lines.join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+let schema = null;
+
+function getSchema() {
+  if (!schema) {
+    schema = JSON.parse(readFileSync(SCHEMA_URL, 'utf8'));
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+function closestKey(key, candidates) {
+  // Levenshtein distance, to turn typos like "workerDomain" into a suggestion
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const [best] = candidates
+    .map(candidate => ({ candidate, score: distance(key, candidate) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= Math.max(2, Math.floor(key.length / 3)) ? best.candidate : null;
+}
+
+// Implements the subset of JSON Schema draft-07 used by worker-config.schema.json
+function validateNode(value, node, path, problems) {
+  const actual = typeOf(value);
+  const expected = node.type;
+  if (expected && !(actual === expected || (expected === 'number' && actual === 'integer'))) {
+    problems.push({ path, message: `expected ${expected} but got ${actual}`, fix: node.description });
+    return;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    problems.push({
+      path,
+      message: `${JSON.stringify(value)} is not allowed`,
+      fix: `Use one of: ${node.enum.map(option => JSON.stringify(option)).join(', ')}`
+    });
+  }
+
+  if (actual === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      problems.push({ path, message: 'must not be empty', fix: node.description });
+    } else if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      problems.push({ path, message: `${JSON.stringify(value)} has an invalid format`, fix: node.description });
+    }
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      problems.push({ path, message: `must be at least ${node.minimum}`, fix: node.description });
+    }
+  }
+
+  if (actual === 'array') {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      problems.push({ path, message: `must contain at least ${node.minItems} item(s)`, fix: node.description });
+    }
+    if (node.items) {
+      value.forEach((item, index) => validateNode(item, node.items, joinPath(path, index), problems));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = node.properties || {};
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        const description = properties[key] && properties[key].description;
+        problems.push({
+          path: joinPath(path, key),
+          message: 'is required',
+          fix: description ? `Add "${key}": ${description}` : `Add "${key}"`
+        });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], joinPath(path, key), problems);
+      } else if (node.additionalProperties === false) {
+        const suggestion = closestKey(key, Object.keys(properties));
+        problems.push({
+          path: joinPath(path, key),
+          message: 'is not a known key',
+          fix: suggestion
+            ? `Did you mean "${suggestion}"?`
+            : `Remove it. Known keys: ${Object.keys(properties).join(', ')}`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Validates a parsed worker-config.json against the published schema and the
+ * rules the schema cannot express. Returns a list of problems (empty when valid).
+ */
+export function validateConfig(config) {
+  const problems = [];
+  validateNode(config, getSchema(), '', problems);
+
+  if (problems.length === 0 && config.environments) {
+    try {
+      loadEnvironments(config);
+    } catch (error) {
+      problems.push({ path: 'environments', message: error.message, fix: 'Check the environment names and promoteFrom references' });
+    }
+  }
+  if (problems.length === 0 && config.rollout && config.rollout.steps) {
+    const problem = validateRolloutSteps(config.rollout.steps);
+    if (problem) {
+      problems.push({ path: 'rollout.steps', message: problem, fix: 'Use rising percentages ending at 100, e.g. [10, 50, 100]' });
+    }
+  }
+  if (problems.length === 0 && config.services) {
+    try {
+      loadServices(config);
+    } catch (error) {
+      problems.push({ path: 'services', message: error.message, fix: 'Give every service a different name' });
+    }
+  }
+
+  return problems;
+}
+
+// Every check is on unless switched off; tags must come from the branch dev deploys
+// from (or tagPolicy.branch, e.g. a release branch), hotfixes from the tag they patch
+function getTagPolicy(policy, environments) {
+  const branchEnvironment = environments.find(env => env.deployFrom === 'branch');
+  return {
+    branch: policy.branch || (branchEnvironment ? branchEnvironment.branch : 'main'),
+    requireAncestry: policy.requireAncestry !== false,
+    preventDowngrade: policy.preventDowngrade !== false,
+    capAtPromoteFrom: policy.capAtPromoteFrom !== false,
+    preventDuplicates: policy.preventDuplicates !== false
+  };
+}
+
+// The health check of a rollout defaults to the one --probe uses
+function getRolloutSettings(rollout, probe) {
+  return {
+    steps: rollout.steps || DEFAULT_ROLLOUT_STEPS,
+    intervalSeconds: rollout.intervalSeconds ?? 60,
+    checks: rollout.checks || 5,
+    healthPath: rollout.healthPath || probe.healthPath || '/'
+  };
+}
+
+function readPackageName() {
+  try {
+    return JSON.parse(readFileSync('package.json', 'utf8')).name || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads and validates worker-config.json. When the file does not exist the
+ * service name falls back to package.json, unless `required` is set.
+ * Throws ConfigError when the file exists but is invalid.
+ */
+export function loadConfig({ required = false } = {}) {
+  if (!existsSync(CONFIG_FILE)) {
+    if (required) {
+      throw new ConfigError([{
+        path: '',
+        message: 'file not found',
+        fix: `Copy worker-config.example.json to ${CONFIG_FILE} and fill in your values`
+      }]);
+    }
+
+    const environments = loadEnvironments(null);
+    return {
+      source: 'package.json',
+      serviceName: readPackageName() || 'your-service',
+      workersDomain: 'your-domain.workers.dev',
+      accountId: null,
+      probe: {},
+      requiredSecrets: [],
+      requireSignedTags: false,
+      tagPolicy: getTagPolicy({}, environments),
+      rollout: getRolloutSettings({}, {}),
+      environments,
+      services: [],
+      raw: null
+    };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([{ path: '', message: `not valid JSON (${error.message})`, fix: 'Fix the JSON syntax' }]);
+  }
+
+  const problems = validateConfig(raw);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const environments = loadEnvironments(raw);
+  return {
+    source: CONFIG_FILE,
+    serviceName: raw.serviceName,
+    workersDomain: raw.workersDomain,
+    accountId: raw.accountId || null,
+    probe: raw.probe || {},
+    requiredSecrets: raw.requiredSecrets || [],
+    requireSignedTags: raw.requireSignedTags === true,
+    tagPolicy: getTagPolicy(raw.tagPolicy || {}, environments),
+    rollout: getRolloutSettings(raw.rollout || {}, raw.probe || {}),
+    environments,
+    services: loadServices(raw),
+    raw
+  };
+}
@@ -0,0 +1,66 @@
+// Line diff used to preview file changes before a script writes them
+
+function diffLines(before, after) {
+  // Longest common subsequence table; the files diffed here are small
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ type: ' ', text: before[i], oldLine: i++, newLine: j++ });
+    } else if (i < before.length && (j === after.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: '-', text: before[i], oldLine: i++, newLine: j });
+    } else {
+      lines.push({ type: '+', text: after[j], oldLine: i, newLine: j++ });
+    }
+  }
+  return lines;
+}
+
+function splitLines(text) {
+  if (text === null || text === '') return [];
+  return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Formats a unified diff of two versions of a file, with `context` unchanged
+ * lines around each change. Pass null as `before` for a new file. Returns an
+ * empty string when nothing changes.
+ */
+export function formatDiff(file, before, after, context = 3) {
+  const lines = diffLines(splitLines(before), splitLines(after));
+  const changed = lines.map((line, index) => (line.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${before === null ? '/dev/null' : `a/${file}`}`, `+++ b/${file}`];
+  for (const { start, end } of hunks) {
+    const slice = lines.slice(start, end + 1);
+    const oldCount = slice.filter(line => line.type !== '+').length;
+    const newCount = slice.filter(line => line.type !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    output.push(...slice.map(line => `${line.type}${line.text}`));
+  }
+  return output.join('\n');
+}
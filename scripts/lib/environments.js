@@ -0,0 +1,158 @@
+import { execFileSync } from 'child_process';
+import { compareVersions } from './semver.js';
+
+// Used when worker-config.json has no "environments" list; matches the
+// dev (main branch) → qa-* → prod-* flow the workflows ship with
+export const DEFAULT_ENVIRONMENTS = [
+  {
+    name: 'dev',
+    label: 'Development',
+    deployFrom: 'branch',
+    branch: 'main',
+    workerSuffix: '-dev',
+    url: 'https://{service_name}-dev.{domain}'
+  },
+  {
+    name: 'qa',
+    label: 'QA',
+    deployFrom: 'tag',
+    tagPrefix: 'qa-',
+    workerSuffix: '-qa',
+    url: 'https://{service_name}-qa.{domain}',
+    promoteFrom: 'dev'
+  },
+  {
+    name: 'prod',
+    label: 'Production',
+    deployFrom: 'tag',
+    tagPrefix: 'prod-',
+    workerSuffix: '-prod',
+    url: 'https://{service_name}.{domain}',
+    promoteFrom: 'qa'
+  }
+];
+
+function normalizeEnvironment(env) {
+  if (!env || typeof env.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(env.name)) {
+    throw new Error(`Invalid environment name ${JSON.stringify(env && env.name)} in worker-config.json: use lowercase letters, digits and dashes`);
+  }
+
+  const deployFrom = env.deployFrom || (env.branch ? 'branch' : 'tag');
+  if (!['branch', 'tag'].includes(deployFrom)) {
+    throw new Error(`Environment "${env.name}": deployFrom must be "branch" or "tag"`);
+  }
+
+  return {
+    name: env.name,
+    label: env.label || env.name.toUpperCase(),
+    deployFrom,
+    branch: deployFrom === 'branch' ? env.branch || 'main' : null,
+    tagPrefix: deployFrom === 'tag' ? env.tagPrefix ?? `${env.name}-` : null,
+    workerSuffix: env.workerSuffix ?? `-${env.name}`,
+    url: env.url || 'https://{service_name}-{environment}.{domain}',
+    promoteFrom: env.promoteFrom || null,
+    requiredSecrets: env.requiredSecrets || []
+  };
+}
+
+/**
+ * Returns the environments in promotion order, from a parsed worker-config.json
+ * or the built-in dev/qa/prod defaults. Scripts get them via loadConfig() in config.js.
+ */
+export function loadEnvironments(config) {
+  const definitions = config && Array.isArray(config.environments) && config.environments.length > 0
+    ? config.environments
+    : DEFAULT_ENVIRONMENTS;
+
+  const environments = definitions.map(normalizeEnvironment);
+  const names = new Set();
+  for (const env of environments) {
+    if (names.has(env.name)) {
+      throw new Error(`Environment "${env.name}" is defined more than once in worker-config.json`);
+    }
+    names.add(env.name);
+  }
+  for (const env of environments) {
+    if (env.promoteFrom && !names.has(env.promoteFrom)) {
+      throw new Error(`Environment "${env.name}": promoteFrom "${env.promoteFrom}" is not a defined environment`);
+    }
+  }
+
+  return environments;
+}
+
+export function getTagEnvironments(environments) {
+  return environments.filter(env => env.deployFrom === 'tag');
+}
+
+export function findEnvironment(environments, name) {
+  return environments.find(env => env.name === name) || null;
+}
+
+export function getTagName(env, version) {
+  return `${env.tagPrefix}${version}`;
+}
+
+export function getTagVersion(env, tag) {
+  return tag.startsWith(env.tagPrefix) ? tag.slice(env.tagPrefix.length) : null;
+}
+
+// Rollback tags re-deploy an existing version: "1.4.2-rollback.1" deploys 1.4.2
+const ROLLBACK_SUFFIX = /-rollback(\.\d+)?$/;
+
+export function isRollbackVersion(version) {
+  return ROLLBACK_SUFFIX.test(version);
+}
+
+export function getDeployedVersion(version) {
+  return version.replace(ROLLBACK_SUFFIX, '');
+}
+
+/**
+ * Lists an environment's tags with extra `git tag` arguments (an array). Only
+ * tags whose version starts with a digit are kept, so "prod-*" does not pick
+ * up the tags of a "prod-eu-" environment.
+ */
+export function listTags(env, gitArgs = []) {
+  let output;
+  try {
+    output = execFileSync('git', ['tag', '-l', `${env.tagPrefix}*`, ...gitArgs], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    }).trim();
+  } catch (error) {
+    return [];
+  }
+
+  return output.split('\n').filter(line => /^\d/.test(line.slice(env.tagPrefix.length)));
+}
+
+/**
+ * An environment's tags in the order they were created, oldest first:
+ * [{ tag, version, date, time, subject }]. Tags created in the same second
+ * are ordered by SemVer precedence.
+ */
+export function listTagsByDate(env) {
+  return listTags(env, ['--format=%(refname:short)%09%(creatordate:iso-strict)%09%(contents:subject)'])
+    .map(line => {
+      const [tag, date, subject] = line.split('\t');
+      return { tag, version: getTagVersion(env, tag), date, time: Date.parse(date), subject: subject || '' };
+    })
+    .sort((a, b) => a.time - b.time || compareVersions(a.version, b.version));
+}
+
+export function getWorkerName(env, serviceName) {
+  return `${serviceName}${env.workerSuffix}`;
+}
+
+// Same placeholders as the deployment_url_pattern input of deploy.yml
+export function expandUrlPattern(pattern, serviceName, environment, domain) {
+  return pattern
+    .replace(/\{service_name\}/g, serviceName)
+    .replace(/\{environment\}/g, environment)
+    .replace(/\{domain\}/g, domain);
+}
+
+export function getEnvironmentUrl(env, serviceName, workersDomain) {
+  return expandUrlPattern(env.url, serviceName, env.name, workersDomain);
+}
@@ -0,0 +1,43 @@
+import { execSync } from 'child_process';
+
+// GitHub REST API lookups. GITHUB_API_URL, which Actions sets, points the
+// scripts at GitHub Enterprise or a local stub instead of api.github.com.
+
+const TIMEOUT_MS = 10000;
+
+// "owner/repo", from GITHUB_REPOSITORY in Actions or the origin remote elsewhere
+export function getGitHubRepository() {
+  if (process.env.GITHUB_REPOSITORY) return process.env.GITHUB_REPOSITORY;
+  try {
+    const origin = execSync('git config --get remote.origin.url', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    const match = origin.match(/github\.com[:/](.+?\/.+?)(\.git)?$/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The state of a pull request: { state: "open" | "closed", merged }. Works
+ * for pull requests from forks, whose branches never exist on origin. Uses
+ * GITHUB_TOKEN or GH_TOKEN when set, which private repositories need.
+ * Throws when GitHub cannot answer.
+ */
+export async function getPullRequestState(repository, number) {
+  const baseUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  const headers = { Accept: 'application/vnd.github+json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/repos/${repository}/pulls/${number}`, { headers, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS} ms` : error.cause?.message || error.message;
+    throw new Error(`Cannot reach ${baseUrl}: ${reason}`);
+  }
+  if (!response.ok) {
+    throw new Error(`GitHub answered HTTP ${response.status} for ${repository}#${number}${token ? '' : ' (set GITHUB_TOKEN for private repositories)'}`);
+  }
+  const pull = await response.json();
+  return { state: pull.state, merged: Boolean(pull.merged || pull.merged_at) };
+}
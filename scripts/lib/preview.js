@@ -0,0 +1,135 @@
+import { createHash } from 'crypto';
+
+// Worker names end up as DNS labels on workers.dev
+export const MAX_WORKER_NAME_LENGTH = 63;
+
+// Preview Workers carry their branch as plain-text vars, so cleanup can find it again
+export const PREVIEW_BRANCH_VAR = 'PREVIEW_BRANCH';
+export const PREVIEW_PR_VAR = 'PREVIEW_PR';
+
+function getPreviewPrefixes(serviceName) {
+  return { pr: `${serviceName}-pr-`, branch: `${serviceName}-preview-` };
+}
+
+/**
+ * The Worker name of a preview: "<service>-pr-<n>" for a pull request, or
+ * "<service>-preview-<branch slug>". Slugs that do not fit are shortened and
+ * get a hash of the full branch name, so two branches never share a Worker.
+ */
+export function getPreviewWorkerName(serviceName, { branch, pr = null }) {
+  const prefixes = getPreviewPrefixes(serviceName);
+  const name = pr ? `${prefixes.pr}${pr}` : null;
+  const room = MAX_WORKER_NAME_LENGTH - prefixes.branch.length;
+  if ((name && name.length > MAX_WORKER_NAME_LENGTH) || (!name && room < 8)) {
+    throw new Error(`serviceName "${serviceName}" is too long for preview Worker names (${MAX_WORKER_NAME_LENGTH} characters at most)`);
+  }
+  if (name) return name;
+
+  const slug = branch.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (slug && slug.length <= room) {
+    return `${prefixes.branch}${slug}`;
+  }
+  const hash = createHash('sha1').update(branch).digest('hex').slice(0, 6);
+  const head = slug.slice(0, room - hash.length - 1).replace(/-+$/, '');
+  return `${prefixes.branch}${head ? `${head}-` : ''}${hash}`;
+}
+
+export function isPreviewWorkerName(serviceName, name) {
+  return Object.values(getPreviewPrefixes(serviceName)).some(prefix => name.startsWith(prefix));
+}
+
+// Net "[" minus "]" of a TOML line, ignoring strings and comments
+function bracketDepth(line) {
+  const code = line.replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, '').replace(/#.*$/, '');
+  return (code.match(/\[/g) || []).length - (code.match(/\]/g) || []).length;
+}
+
+// What a preview must not take from the environment, at the top level or under
+// [env.<name>]: its routes, its cron triggers and its queue consumers
+const ENVIRONMENT_ONLY = /^(route|routes|workers_dev|triggers|queues\.consumers)(\.|$)/;
+
+// A bare, "double" or 'single' quoted key, e.g. env."my-env".routes
+const KEY_PART = String.raw`(?:[A-Za-z0-9_-]+|"(?:[^"\\]|\\.)*"|'[^']*')`;
+const KEY_PATH = String.raw`${KEY_PART}(?:\s*\.\s*${KEY_PART})*`;
+const TABLE_HEADER = new RegExp(String.raw`^\s*\[\[?\s*(${KEY_PATH})\s*\]\]?\s*(#.*)?$`);
+const KEY_LINE = new RegExp(String.raw`^\s*(${KEY_PATH})\s*=`);
+
+function normalizeKeyPath(path) {
+  return (path.match(new RegExp(KEY_PART, 'g')) || [])
+    .map(part => /^["']/.test(part) ? part.slice(1, -1) : part)
+    .join('.');
+}
+
+function isEnvironmentOnly(path) {
+  return ENVIRONMENT_ONLY.test(path.replace(/^env\.[^.]+\./, ''));
+}
+
+/**
+ * Turns the text of a wrangler config into the config of a preview Worker:
+ * the name is replaced, workers.dev is switched on and the branch is recorded
+ * in [vars]. Routes ([[routes]] included), [triggers] crons and
+ * [[queues.consumers]] are dropped, also from [env.<name>] sections, so the
+ * preview never serves the environment's domains, runs its crons or takes
+ * its queue messages. Everything else, bindings included, is kept.
+ */
+export function createPreviewConfig(text, { name, branch, pr = null, source }) {
+  const kept = [];
+  let table = '';
+  let droppingTable = false;
+  // Lines left of a multi-line array, and whether that array is dropped
+  let open = 0;
+  let droppingValue = false;
+
+  for (const line of text.split('\n')) {
+    if (open > 0) {
+      open += bracketDepth(line);
+      if (!droppingValue) kept.push(line);
+      continue;
+    }
+
+    const header = line.match(TABLE_HEADER);
+    if (header) {
+      table = normalizeKeyPath(header[1]);
+      droppingTable = isEnvironmentOnly(table);
+      if (!droppingTable) kept.push(line);
+      continue;
+    }
+
+    const key = line.match(KEY_LINE);
+    if (key) {
+      const path = table ? `${table}.${normalizeKeyPath(key[1])}` : normalizeKeyPath(key[1]);
+      droppingValue = droppingTable || path === 'name' || isEnvironmentOnly(path);
+      open = Math.max(bracketDepth(line.slice(line.indexOf('=') + 1)), 0);
+      if (!droppingValue) kept.push(line);
+      continue;
+    }
+
+    if (!droppingTable) kept.push(line);
+  }
+
+  const vars = [`${PREVIEW_BRANCH_VAR} = ${JSON.stringify(branch)}`];
+  if (pr) vars.push(`${PREVIEW_PR_VAR} = ${JSON.stringify(String(pr))}`);
+
+  const varsTable = kept.findIndex(line => /^\s*\[vars\]\s*(#.*)?$/.test(line));
+  if (varsTable === -1) {
+    kept.push('', '[vars]', ...vars);
+  } else {
+    kept.splice(varsTable + 1, 0, ...vars);
+  }
+
+  return [
+    `# Generated from ${source} for the preview of ${branch}; not meant to be committed`,
+    `name = ${JSON.stringify(name)}`,
+    'workers_dev = true',
+    ...kept
+  ].join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+// The branch and PR a preview Worker was deployed for, from its settings' bindings
+export function getPreviewBranch(settings) {
+  const text = (name) => {
+    const binding = ((settings && settings.bindings) || []).find(entry => entry.type === 'plain_text' && entry.name === name);
+    return binding ? binding.text : null;
+  };
+  return { branch: text(PREVIEW_BRANCH_VAR), pr: text(PREVIEW_PR_VAR) };
+}
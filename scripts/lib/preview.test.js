@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createPreviewConfig } from './preview.js';
+import { parseToml } from './toml.js';
+
+const options = { name: 'my-service-preview-feature-x', branch: 'feature/x', source: 'wrangler.dev.toml' };
+
+function preview(text) {
+  return parseToml(createPreviewConfig(text, options));
+}
+
+describe('createPreviewConfig', () => {
+  it('replaces the name and switches workers.dev on', () => {
+    const config = preview('name = "my-service-dev"\nmain = "src/index.js"\nworkers_dev = false\n');
+    assert.equal(config.name, options.name);
+    assert.equal(config.workers_dev, true);
+    assert.equal(config.main, 'src/index.js');
+  });
+
+  it('drops top-level route and multi-line routes', () => {
+    const config = preview([
+      'name = "my-service-dev"',
+      'route = "dev.example.com/*"',
+      'routes = [',
+      '  { pattern = "dev.example.com/*", zone_name = "example.com" },',
+      '  "api.example.com/*"',
+      ']',
+      'main = "src/index.js"'
+    ].join('\n'));
+    assert.equal(config.route, undefined);
+    assert.equal(config.routes, undefined);
+    assert.equal(config.main, 'src/index.js');
+  });
+
+  it('drops [[routes]] array tables', () => {
+    const config = preview([
+      'name = "my-service-dev"',
+      '',
+      '[[routes]]',
+      'pattern = "dev.example.com/*"',
+      'zone_name = "example.com"',
+      '',
+      '[[routes]]',
+      'pattern = "dev.example.com"',
+      'custom_domain = true',
+      '',
+      '[[kv_namespaces]]',
+      'binding = "CACHE"',
+      'id = "abc"'
+    ].join('\n'));
+    assert.equal(config.routes, undefined);
+    assert.deepEqual(config.kv_namespaces, [{ binding: 'CACHE', id: 'abc' }]);
+  });
+
+  it('drops [triggers] crons', () => {
+    const config = preview([
+      'name = "my-service-dev"',
+      '',
+      '[triggers]',
+      'crons = [',
+      '  "0 * * * *",',
+      '  "*/5 * * * *"',
+      ']',
+      '',
+      '[vars]',
+      'LOG_LEVEL = "debug"'
+    ].join('\n'));
+    assert.equal(config.triggers, undefined);
+    assert.deepEqual(config.vars, { PREVIEW_BRANCH: 'feature/x', LOG_LEVEL: 'debug' });
+  });
+
+  it('drops [[queues.consumers]] and keeps producers', () => {
+    const config = preview([
+      'name = "my-service-dev"',
+      '',
+      '[[queues.producers]]',
+      'binding = "JOBS"',
+      'queue = "jobs-dev"',
+      '',
+      '[[queues.consumers]]',
+      'queue = "jobs-dev"',
+      'max_batch_size = 10'
+    ].join('\n'));
+    assert.deepEqual(config.queues, { producers: [{ binding: 'JOBS', queue: 'jobs-dev' }] });
+  });
+
+  it('drops the same from [env.<name>] sections', () => {
+    const config = preview([
+      'name = "my-service"',
+      '',
+      '[env.dev]',
+      'name = "my-service-dev"',
+      'route = "dev.example.com/*"',
+      'workers_dev = false',
+      '',
+      '[[env.dev.routes]]',
+      'pattern = "api.example.com/*"',
+      'zone_name = "example.com"',
+      '',
+      '[env.dev.triggers]',
+      'crons = ["0 * * * *"]',
+      '',
+      '[[env."dev".queues.consumers]]',
+      'queue = "jobs-dev"',
+      '',
+      '[[env.dev.queues.producers]]',
+      'binding = "JOBS"',
+      'queue = "jobs-dev"',
+      '',
+      '[env.dev.vars]',
+      'LOG_LEVEL = "debug"'
+    ].join('\n'));
+    assert.deepEqual(config.env.dev, {
+      name: 'my-service-dev',
+      queues: { producers: [{ binding: 'JOBS', queue: 'jobs-dev' }] },
+      vars: { LOG_LEVEL: 'debug' }
+    });
+  });
+
+  it('records the branch and pull request in [vars]', () => {
+    const config = parseToml(createPreviewConfig('name = "my-service-dev"\n', { ...options, pr: 42 }));
+    assert.deepEqual(config.vars, { PREVIEW_BRANCH: 'feature/x', PREVIEW_PR: '42' });
+  });
+});
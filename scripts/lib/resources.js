@@ -0,0 +1,169 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { parseToml } from './toml.js';
+import { setBindingField } from './wrangler.js';
+
+const KV_ID = /^[0-9a-f]{32}$/;
+const D1_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Values left by createWranglerConfigs or copied from the docs, e.g. "your-qa-kv-namespace-id"
+function isPlaceholder(value) {
+  return typeof value !== 'string' || value.trim() === '' || /your-|placeholder|<|>|x{4,}/i.test(value);
+}
+
+// "demo-prod" + "MY_CACHE" → "demo-prod-my-cache"
+function scopedName(workerName, binding) {
+  return `${workerName}-${binding.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`.slice(0, 63);
+}
+
+/**
+ * Existing account resources, listed once per provisioning run through the
+ * REST client so that provisioning is idempotent.
+ */
+export async function listAccountResources(client) {
+  const [kv, d1, r2, queues] = await Promise.all([
+    client.listKvNamespaces(),
+    client.listD1Databases(),
+    client.listR2Buckets(),
+    client.listQueues()
+  ]);
+
+  return {
+    kv: kv.map(namespace => ({ name: namespace.title, id: namespace.id })),
+    d1: d1.map(database => ({ name: database.name, id: database.uuid })),
+    r2: r2.map(bucket => ({ name: bucket.name })),
+    queues: queues.map(queue => ({ name: queue.queue_name }))
+  };
+}
+
+/**
+ * Works out which resources each environment's wrangler config declares and
+ * what has to happen for each: nothing, linking an existing resource (writing
+ * its ID back) or creating it. `entries` are { env, file, wrangler } objects;
+ * pass `account` from listAccountResources(client), or null to plan offline from
+ * the config alone.
+ */
+export function planResources(entries, account) {
+  const plan = [];
+
+  for (const { env, file, wrangler: config } of entries) {
+    const workerName = config.name;
+    const add = (item) => plan.push({ environment: env.name, file, ...item });
+
+    for (const namespace of config.kv_namespaces || []) {
+      if (!namespace.binding) continue;
+      if (KV_ID.test(namespace.id || '')) {
+        add({ kind: 'kv', binding: namespace.binding, name: null, action: 'ok', id: namespace.id });
+        continue;
+      }
+      // Titled like `wrangler kv namespace create --config` titles them, so those are found too
+      const title = `${workerName}-${namespace.binding}`;
+      const existing = account && account.kv.find(candidate => candidate.name === title);
+      add({ kind: 'kv', binding: namespace.binding, name: title, action: existing ? 'link' : 'create', id: existing ? existing.id : null });
+    }
+
+    for (const bucket of config.r2_buckets || []) {
+      if (!bucket.binding) continue;
+      const named = !isPlaceholder(bucket.bucket_name);
+      const name = named ? bucket.bucket_name : scopedName(workerName, bucket.binding);
+      const exists = account ? account.r2.some(candidate => candidate.name === name) : named;
+      add({ kind: 'r2', binding: bucket.binding, name, action: exists ? (named ? 'ok' : 'link') : 'create', id: null, rename: !named });
+    }
+
+    for (const database of config.d1_databases || []) {
+      if (!database.binding) continue;
+      const named = !isPlaceholder(database.database_name);
+      const name = named ? database.database_name : scopedName(workerName, database.binding);
+      if (D1_ID.test(database.database_id || '')) {
+        add({ kind: 'd1', binding: database.binding, name, action: 'ok', id: database.database_id });
+        continue;
+      }
+      const existing = account && account.d1.find(candidate => candidate.name === name);
+      add({ kind: 'd1', binding: database.binding, name, action: existing ? 'link' : 'create', id: existing ? existing.id : null, rename: !named });
+    }
+
+    const producers = (config.queues && config.queues.producers) || [];
+    for (const producer of producers) {
+      if (!producer.binding) continue;
+      const named = !isPlaceholder(producer.queue);
+      const name = named ? producer.queue : scopedName(workerName, producer.binding);
+      const exists = account ? account.queues.some(candidate => candidate.name === name) : named;
+      add({ kind: 'queue', binding: producer.binding, name, action: exists ? (named ? 'ok' : 'link') : 'create', id: null, rename: !named });
+    }
+  }
+
+  return plan;
+}
+
+async function createResource(client, item) {
+  switch (item.kind) {
+    case 'kv':
+      return (await client.createKvNamespace(item.name)).id;
+    case 'r2':
+      await client.createR2Bucket(item.name);
+      return null;
+    case 'd1':
+      return (await client.createD1Database(item.name)).uuid;
+    case 'queue':
+      await client.createQueue(item.name);
+      return null;
+    default:
+      throw new Error(`Unknown resource kind ${item.kind}`);
+  }
+}
+
+// Fields written back into the wrangler config once a resource exists
+function getUpdates(item) {
+  switch (item.kind) {
+    case 'kv':
+      return [{ section: 'kv_namespaces', field: 'id', value: item.id }];
+    case 'r2':
+      return item.rename ? [{ section: 'r2_buckets', field: 'bucket_name', value: item.name }] : [];
+    case 'd1':
+      return [
+        ...(item.rename ? [{ section: 'd1_databases', field: 'database_name', value: item.name }] : []),
+        { section: 'd1_databases', field: 'database_id', value: item.id }
+      ];
+    case 'queue':
+      return item.rename ? [{ section: 'queues.producers', field: 'queue', value: item.name }] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Creates the resources a plan marks as "create" and writes IDs and generated
+ * names into the wrangler configs. Each config is written as soon as its
+ * resource exists, so a failure part-way loses nothing; a rerun links what
+ * was already created. `onProgress` is called with each finished item.
+ * Returns the files that were changed.
+ */
+export async function applyResourcePlan(client, plan, onProgress = () => {}) {
+  const changed = new Set();
+
+  for (const item of plan) {
+    if (item.action === 'ok') continue;
+    if (item.action === 'create') {
+      item.id = await createResource(client, item);
+    }
+
+    const before = readFileSync(item.file, 'utf8');
+    let text = before;
+    for (const update of getUpdates(item)) {
+      text = setBindingField(text, update.section, item.binding, update.field, update.value);
+    }
+    if (text !== before) {
+      // Never write a config wrangler could no longer read
+      parseToml(text);
+      writeFileSync(item.file, text);
+      changed.add(item.file);
+    }
+    onProgress(item);
+  }
+
+  return [...changed];
+}
+
+export function describeResource(item) {
+  const labels = { kv: 'KV namespace', r2: 'R2 bucket', d1: 'D1 database', queue: 'Queue' };
+  return `${labels[item.kind]} ${item.binding}${item.name ? ` (${item.name})` : ''}`;
+}
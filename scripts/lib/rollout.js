@@ -0,0 +1,90 @@
+// Gradual rollouts through Worker versions: a version is uploaded without
+// being deployed, then deployments shift a growing share of traffic to it.
+
+export const DEFAULT_ROLLOUT_STEPS = [10, 50, 100];
+
+/**
+ * Checks a list of traffic percentages: whole numbers from 1 to 100, each
+ * above the one before, ending at 100. Returns a problem message or null.
+ */
+export function validateRolloutSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'needs at least one step';
+  }
+  if (!steps.every(step => Number.isInteger(step) && step >= 1 && step <= 100)) {
+    return 'every step must be a whole percentage from 1 to 100';
+  }
+  if (steps.some((step, i) => i > 0 && step <= steps[i - 1])) {
+    return 'steps must rise, e.g. 10, 50, 100';
+  }
+  if (steps[steps.length - 1] !== 100) {
+    return 'the last step must be 100, so the new version ends up with all traffic';
+  }
+  return null;
+}
+
+// "10,50,100" → [10, 50, 100]; throws on anything validateRolloutSteps rejects
+export function parseRolloutSteps(text) {
+  const steps = text.split(',').map(step => step.trim().replace(/%$/, '')).map(step => (/^\d+$/.test(step) ? Number(step) : NaN));
+  const problem = validateRolloutSteps(steps);
+  if (problem) {
+    throw new Error(`Invalid steps "${text}": ${problem}`);
+  }
+  return steps;
+}
+
+// `wrangler versions upload` prints "Worker Version ID: <uuid>"
+export function parseUploadedVersionId(output) {
+  const match = output.match(/Version ID:\s*([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i);
+  return match ? match[1] : null;
+}
+
+// Pins a request to one version, whatever the split, so each version can be checked on its own
+export function getVersionOverrideHeaders(workerName, versionId) {
+  return { 'Cloudflare-Workers-Version-Overrides': `${workerName}="${versionId}"` };
+}
+
+/**
+ * The traffic split of a Worker's current deployment, largest share first:
+ * { deployment: { id, createdOn, message } | null, split: [{ versionId,
+ * percentage, number, tag, message, createdOn }] }. `tag` and `message` are
+ * what the version was uploaded with, if anything.
+ */
+export async function getVersionSplit(client, workerName) {
+  const [deployment] = await client.listDeployments(workerName);
+  if (!deployment) {
+    return { deployment: null, split: [] };
+  }
+
+  const versions = new Map((await client.listVersions(workerName)).map(version => [version.id, version]));
+  const split = (deployment.versions || [])
+    .map(({ version_id: versionId, percentage }) => {
+      const version = versions.get(versionId);
+      const annotations = (version && version.annotations) || {};
+      return {
+        versionId,
+        percentage,
+        number: version ? (version.number ?? null) : null,
+        tag: annotations['workers/tag'] || null,
+        message: annotations['workers/message'] || null,
+        createdOn: version && version.metadata ? version.metadata.created_on || null : null
+      };
+    })
+    .sort((a, b) => b.percentage - a.percentage);
+
+  return {
+    deployment: {
+      id: deployment.id,
+      createdOn: deployment.created_on || null,
+      message: (deployment.annotations && deployment.annotations['workers/message']) || null
+    },
+    split
+  };
+}
+
+// "10% 1a2b3c4d (prod-1.3.0), 90% 9f8e7d6c (prod-1.2.0)"
+export function describeSplit(split) {
+  return split
+    .map(entry => `${entry.percentage}% ${entry.versionId.slice(0, 8)}${entry.tag ? ` (${entry.tag})` : ''}`)
+    .join(', ');
+}
@@ -0,0 +1,115 @@
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { getWorkerName } from './environments.js';
+import { CloudflareNotFoundError } from './cloudflare.js';
+import { runWrangler } from './wrangler.js';
+
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * The local file holding an environment's secret values, e.g. .secrets.qa,
+ * or .secrets.api.qa for a service of a monorepo. It must be git-ignored;
+ * see isGitIgnored().
+ */
+export function getSecretsFile(env) {
+  return `.secrets.${env.service ? `${env.service}.` : ''}${env.name}`;
+}
+
+/**
+ * Secrets an environment's Worker must have: the top-level requiredSecrets of
+ * worker-config.json plus the environment's own.
+ */
+export function getRequiredSecrets(config, env) {
+  return [...new Set([...config.requiredSecrets, ...env.requiredSecrets])].sort();
+}
+
+/**
+ * Lists the names of a Worker's secrets. Returns null when the Worker does not
+ * exist yet; throws on any other API failure.
+ */
+export async function listWorkerSecrets(client, workerName) {
+  try {
+    return (await client.listScriptSecrets(workerName)).map(secret => secret.name).sort();
+  } catch (error) {
+    if (error instanceof CloudflareNotFoundError) return null;
+    throw error;
+  }
+}
+
+function parseValue(raw, location) {
+  if (raw.startsWith('"')) {
+    const match = raw.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/);
+    if (!match) throw new Error(`${location}: unterminated double-quoted value`);
+    return match[1].replace(/\\(.)/g, (_, char) => ({ n: '\n', r: '\r', t: '\t' })[char] ?? char);
+  }
+  if (raw.startsWith("'")) {
+    const match = raw.match(/^'([^']*)'\s*(#.*)?$/);
+    if (!match) throw new Error(`${location}: unterminated single-quoted value`);
+    return match[1];
+  }
+  return raw.replace(/\s+#.*$/, '').trim();
+}
+
+/**
+ * Parses a secrets file in .env format (KEY=value, optional quotes, # comments).
+ * Errors name the file and line but never include a value.
+ */
+export function readSecretsFile(file) {
+  if (!existsSync(file)) return null;
+
+  const values = {};
+  readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    const location = `${file}:${index + 1}`;
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) throw new Error(`${location}: expected KEY=value`);
+    const [, name, raw] = match;
+    if (!SECRET_NAME.test(name)) {
+      throw new Error(`${location}: "${name}" is not a valid secret name (use letters, digits and underscores)`);
+    }
+    values[name] = parseValue(raw, location);
+  });
+  return values;
+}
+
+export function isGitIgnored(file) {
+  try {
+    execFileSync('git', ['check-ignore', '-q', file], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compares each environment's Worker secrets with its required secrets.
+ * Returns one { env, workerName, file, required, present, missing, extra }
+ * entry per environment; `present` is null when the Worker does not exist.
+ */
+export async function getSecretsInventory(client, config, environments = config.environments) {
+  return Promise.all(environments.map(async (env) => {
+    const workerName = getWorkerName(env, config.serviceName);
+    const required = getRequiredSecrets(config, env);
+    const present = await listWorkerSecrets(client, workerName);
+    return {
+      env,
+      workerName,
+      file: getSecretsFile(env),
+      required,
+      present,
+      missing: required.filter(name => !(present || []).includes(name)),
+      extra: (present || []).filter(name => !required.includes(name))
+    };
+  }));
+}
+
+/**
+ * Uploads secret values to a Worker in one `wrangler secret bulk` call. The
+ * values go through stdin, so they never appear in a command line or a
+ * temporary file.
+ */
+export function uploadSecrets(workerName, values) {
+  runWrangler(['secret', 'bulk', '--name', workerName], { input: JSON.stringify(values) });
+}
@@ -0,0 +1,112 @@
+// SemVer 2.0.0 (https://semver.org) parsing and precedence, shared by the tag
+// scripts so that 1.2.3-rc.10 sorts after 1.2.3-rc.2 and before 1.2.3.
+
+const IDENTIFIER = '(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)';
+const SEMVER = new RegExp(
+  '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+  `(?:-(${IDENTIFIER}(?:\\.${IDENTIFIER})*))?` +
+  '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+);
+
+/**
+ * Parses "1.2.3-rc.1+build.5" into { major, minor, patch, prerelease, build },
+ * prerelease and build being lists of identifiers. Returns null for anything
+ * that is not a SemVer 2.0 version.
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' && version.match(SEMVER);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : []
+  };
+}
+
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+export function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+// "1.3.0-rc.2+build.7" → "1.3.0"
+export function getReleaseVersion(version) {
+  const parsed = parseVersion(version);
+  return parsed ? `${parsed.major}.${parsed.minor}.${parsed.patch}` : null;
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) return Math.sign(Number(a) - Number(b));
+  // Numeric identifiers have lower precedence than alphanumeric ones
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two versions by SemVer precedence: -1, 0 or 1. Build metadata is
+ * ignored and a pre-release ranks below its release. Strings that are not
+ * SemVer rank below every version, so they sort first instead of throwing.
+ */
+export function compareVersions(a, b) {
+  const aParsed = parseVersion(a);
+  const bParsed = parseVersion(b);
+  if (!aParsed || !bParsed) {
+    if (aParsed) return 1;
+    if (bParsed) return -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (aParsed[part] !== bParsed[part]) return aParsed[part] > bParsed[part] ? 1 : -1;
+  }
+
+  const aPre = aParsed.prerelease;
+  const bPre = bParsed.prerelease;
+  if (aPre.length === 0 || bPre.length === 0) {
+    return aPre.length === bPre.length ? 0 : aPre.length === 0 ? 1 : -1;
+  }
+  for (let i = 0; i < Math.min(aPre.length, bPre.length); i++) {
+    const result = compareIdentifiers(aPre[i], bPre[i]);
+    if (result !== 0) return result;
+  }
+  return Math.sign(aPre.length - bPre.length);
+}
+
+// Highest version of a list by SemVer precedence, or null for an empty list
+export function maxVersion(versions) {
+  return versions.reduce((max, version) => (max === null || compareVersions(version, max) > 0 ? version : max), null);
+}
+
+/**
+ * Bumps the major, minor or patch number of a version. The result is always
+ * a release: pre-release and build identifiers are dropped.
+ */
+export function bumpVersion(version, level) {
+  const parsed = parseVersion(version);
+  if (!parsed) return null;
+
+  const { major, minor, patch } = parsed;
+  switch (level) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    default: return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+/**
+ * Pulls a major.minor.patch version out of a tool's --version output, e.g.
+ * "v20.11.1" or "git version 2.43.0.windows.1". Returns null when there is none.
+ */
+export function coerceVersion(text) {
+  const match = (text || '').match(/(\d+)\.(\d+)(?:\.(\d+))?/);
+  return match ? `${Number(match[1])}.${Number(match[2])}.${Number(match[3] || 0)}` : null;
+}
@@ -0,0 +1,115 @@
+import { execSync } from 'child_process';
+import path from 'path';
+import { listTagsByDate } from './environments.js';
+
+function normalizeService(service) {
+  const directory = path.posix.normalize(service.directory.replace(/\\/g, '/')).replace(/\/+$/, '') || '.';
+  return {
+    name: service.name,
+    directory,
+    workerName: service.workerName || service.name,
+    wranglerConfig: service.wranglerConfig || path.posix.join(directory, 'wrangler.{environment}.toml'),
+    buildScript: service.buildScript || null
+  };
+}
+
+/**
+ * Returns the services of a monorepo from a parsed worker-config.json, or an
+ * empty list for a repository with a single Worker.
+ */
+export function loadServices(config) {
+  const definitions = config && Array.isArray(config.services) ? config.services : [];
+  const services = definitions.map(normalizeService);
+
+  const names = new Set();
+  for (const service of services) {
+    if (names.has(service.name)) {
+      throw new Error(`Service "${service.name}" is defined more than once in worker-config.json`);
+    }
+    names.add(service.name);
+  }
+  return services;
+}
+
+export function findService(services, name) {
+  return services.find(service => service.name === name) || null;
+}
+
+/**
+ * The config as seen by one service: serviceName is the service's Worker base
+ * name and every environment deploys "<service>-<prefix>" tags from the
+ * service's wrangler config and caller workflow. The scripts that work on a
+ * single service (create-tag, rollback, rollout, secrets, preview,
+ * deployment-history) take this in place of the config; deployment-status and
+ * init go through every service with getServiceConfigs.
+ */
+export function getServiceConfig(config, service) {
+  return {
+    ...config,
+    serviceName: service.workerName,
+    service,
+    environments: config.environments.map(env => ({
+      ...env,
+      service: service.name,
+      directory: service.directory,
+      tagPrefix: env.tagPrefix === null ? null : `${service.name}-${env.tagPrefix}`,
+      wranglerConfig: service.wranglerConfig.replace(/\{environment\}/g, env.name)
+    }))
+  };
+}
+
+/**
+ * The config a script run works on, from its --service value: the service's
+ * view of the config, or the config itself in a repository without services.
+ * Throws when the service is unknown, or when there are services and none is
+ * named, since unscoped tags and Worker names match none of them.
+ */
+export function getServiceScope(config, name) {
+  if (name === undefined) {
+    if (config.services.length > 0) {
+      throw new Error(`--service is required: ${config.services.map(service => service.name).join(', ')}`);
+    }
+    return config;
+  }
+  const service = findService(config.services, name);
+  if (!service) {
+    const names = config.services.map(candidate => `"${candidate.name}"`);
+    throw new Error(names.length > 0
+      ? `Invalid service "${name}". Must be one of: ${names.join(', ')}.`
+      : '--service needs a "services" list in worker-config.json.');
+  }
+  return getServiceConfig(config, service);
+}
+
+// One config per service, or the config itself when there are no services
+export function getServiceConfigs(config) {
+  return config.services.length > 0
+    ? config.services.map(service => getServiceConfig(config, service))
+    : [config];
+}
+
+function countCommits(range, directory) {
+  try {
+    return Number(execSync(`git rev-list --count ${range} -- "${directory}"`, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    }).trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * What changed in each service since its last tag of an environment:
+ * [{ service, lastTag, commits, changed }]. A service that was never tagged
+ * in the environment, or whose history cannot be read, counts as changed.
+ */
+export function getServiceChanges(config, envName) {
+  return config.services.map(service => {
+    const env = getServiceConfig(config, service).environments.find(candidate => candidate.name === envName);
+    const tags = listTagsByDate(env);
+    const lastTag = tags.length > 0 ? tags[tags.length - 1].tag : null;
+    const commits = countCommits(lastTag ? `"${lastTag}"..HEAD` : 'HEAD', service.directory);
+    return { service, lastTag, commits, changed: !lastTag || commits !== 0 };
+  });
+}
@@ -0,0 +1,134 @@
+import { execSync, spawnSync } from 'child_process';
+import { existsSync } from 'fs';
+import os from 'os';
+
+const FORMAT_LABELS = { openpgp: 'GPG', ssh: 'SSH', x509: 'X.509' };
+
+function gitConfig(key) {
+  try {
+    return execSync(`git config --get ${key}`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function commandWorks(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the user's git signing setup (gpg.format, user.signingKey and the
+ * signing program) and checks that `git tag -s` can use it. Returns
+ * { ready, format, key, label, problem, fix }.
+ */
+export function getSigningSetup() {
+  const format = gitConfig('gpg.format') || 'openpgp';
+  const key = gitConfig('user.signingKey');
+  const label = `${FORMAT_LABELS[format] || format} key ${key || '(default)'}`;
+  const setup = { ready: true, format, key, label, problem: null, fix: null };
+  const notReady = (problem, fix) => ({ ...setup, ready: false, problem, fix });
+
+  if (format === 'ssh') {
+    if (!key && !gitConfig('gpg.ssh.defaultKeyCommand')) {
+      return notReady('SSH signing is configured but user.signingKey is not set', 'git config user.signingKey ~/.ssh/id_ed25519.pub');
+    }
+    // The key is either a literal public key or the path of a key file
+    const literal = key && (key.startsWith('key::') || /^(ssh|ecdsa|sk)-/.test(key));
+    if (key && !literal && !existsSync(key.replace(/^~(?=\/)/, os.homedir()))) {
+      return notReady(`user.signingKey ${key} does not exist`, 'Point user.signingKey at your SSH public key file');
+    }
+    return setup;
+  }
+
+  if (format === 'x509') {
+    const program = gitConfig('gpg.x509.program') || 'gpgsm';
+    if (!commandWorks(`${program} --list-secret-keys`)) {
+      return notReady(`${program} has no usable secret key`, 'Install gpgsm and import your signing certificate, or use GPG or SSH signing');
+    }
+    return setup;
+  }
+
+  const program = gitConfig('gpg.openpgp.program') || gitConfig('gpg.program') || 'gpg';
+  const secretKeys = commandWorks(`${program} --list-secret-keys --with-colons ${key ? `"${key}"` : ''}`);
+  if (!secretKeys || !/^sec:/m.test(secretKeys)) {
+    return notReady(
+      key ? `${program} has no secret key for user.signingKey ${key}` : `${program} has no secret key to sign with`,
+      'Create or import a GPG key and run: git config user.signingKey <key id>, or sign with SSH: git config gpg.format ssh'
+    );
+  }
+  return setup;
+}
+
+function parseGpgStatus(output) {
+  const line = (keyword) => output.match(new RegExp(`^\\[GNUPG:\\] ${keyword} (.*)$`, 'm'));
+  const good = line('GOODSIG');
+  const valid = line('VALIDSIG');
+  if (good) {
+    const [, ...name] = good[1].split(' ');
+    return { status: 'good', signer: name.join(' '), key: valid ? valid[1].split(' ')[0] : good[1].split(' ')[0], detail: null };
+  }
+  const expiredKey = line('EXPKEYSIG');
+  if (expiredKey) {
+    const [keyId, ...name] = expiredKey[1].split(' ');
+    return { status: 'unverified', signer: name.join(' '), key: keyId, detail: 'signed with an expired key' };
+  }
+  const bad = line('BADSIG');
+  if (bad) {
+    const [keyId, ...name] = bad[1].split(' ');
+    return { status: 'bad', signer: name.join(' '), key: keyId, detail: 'signature does not match the tag' };
+  }
+  const missing = line('NO_PUBKEY') || line('ERRSIG');
+  return { status: 'unverified', signer: null, key: missing ? missing[1].split(' ')[0] : null, detail: 'public key not available' };
+}
+
+function parseSshStatus(output, ok) {
+  const good = output.match(/Good "git" signature (?:for (\S+) )?with (\S+) key (\S+)/);
+  if (good && ok) {
+    return { status: 'good', signer: good[1] || null, key: good[3], detail: null };
+  }
+  if (good) {
+    return { status: 'unverified', signer: null, key: good[3], detail: 'key is not in gpg.ssh.allowedSignersFile' };
+  }
+  if (/allowedSignersFile needs to be configured/.test(output)) {
+    return { status: 'unverified', signer: null, key: null, detail: 'gpg.ssh.allowedSignersFile is not configured' };
+  }
+  return { status: 'bad', signer: null, key: null, detail: 'signature could not be verified' };
+}
+
+/**
+ * Describes the signature of a tag: { status, format, signer, key, detail }.
+ * status is "good", "bad", "unverified" (signed, but the key is unknown or
+ * not trusted here), "unsigned" or "lightweight".
+ */
+export function getTagSignature(tag) {
+  const none = { format: null, signer: null, key: null, detail: null };
+  if (commandWorks(`git cat-file -t "${tag}"`) !== 'tag') {
+    return { ...none, status: 'lightweight' };
+  }
+
+  const content = commandWorks(`git cat-file tag "${tag}"`) || '';
+  const format = /-----BEGIN PGP SIGNATURE-----/.test(content) ? 'openpgp'
+    : /-----BEGIN SSH SIGNATURE-----/.test(content) ? 'ssh'
+      : /-----BEGIN SIGNED MESSAGE-----/.test(content) ? 'x509'
+        : null;
+  if (!format) {
+    return { ...none, status: 'unsigned' };
+  }
+
+  const result = spawnSync('git', ['verify-tag', '--raw', tag], { encoding: 'utf8' });
+  const output = `${result.stdout || ''}${result.stderr || ''}`;
+  const parsed = format === 'ssh' ? parseSshStatus(output, result.status === 0) : parseGpgStatus(output);
+  return { format, ...parsed };
+}
+
+// "✅ good (Alice <alice@example.com>)", "⚠️  unverified (public key not available)", ...
+export function describeSignature(signature) {
+  const icons = { good: '✅', bad: '❌', unverified: '⚠️ ', unsigned: '➖', lightweight: '➖' };
+  const label = signature.status === 'lightweight' ? 'unsigned (lightweight tag)' : signature.status;
+  const details = [signature.format && FORMAT_LABELS[signature.format], signature.signer, signature.detail].filter(Boolean);
+  return `${icons[signature.status]} ${label}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
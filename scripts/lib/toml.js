@@ -0,0 +1,315 @@
+// Minimal TOML 1.0 parser for wrangler.*.toml files. Supports tables, arrays of
+// tables, dotted keys, inline tables, arrays and all string forms. Dates and
+// times are returned as strings, since the scripts only ever display them.
+
+class TomlError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'TomlError';
+    this.line = line;
+  }
+}
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+class Parser {
+  constructor(text) {
+    this.text = text.replace(/\r\n/g, '\n');
+    this.pos = 0;
+    this.line = 1;
+  }
+
+  error(message) {
+    return new TomlError(message, this.line);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  startsWith(value) {
+    return this.text.startsWith(value, this.pos);
+  }
+
+  next() {
+    const char = this.text[this.pos++];
+    if (char === '\n') this.line++;
+    return char;
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      throw this.error(`Expected "${char}" but found ${this.describe()}`);
+    }
+    this.next();
+  }
+
+  describe() {
+    const char = this.peek();
+    return char === undefined ? 'end of file' : char === '\n' ? 'end of line' : `"${char}"`;
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.next();
+  }
+
+  skipComment() {
+    if (this.peek() === '#') {
+      while (this.peek() !== undefined && this.peek() !== '\n') this.next();
+    }
+  }
+
+  // Whitespace, newlines and comments, as allowed inside arrays
+  skipBlank() {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      if (this.peek() !== '\n') return;
+      this.next();
+    }
+  }
+
+  endOfLine() {
+    this.skipSpaces();
+    this.skipComment();
+    if (this.peek() !== undefined && this.peek() !== '\n') {
+      throw this.error(`Unexpected ${this.describe()} after value`);
+    }
+  }
+
+  parseKey() {
+    const parts = [];
+    for (;;) {
+      this.skipSpaces();
+      const char = this.peek();
+      if (char === '"') {
+        parts.push(this.parseBasicString());
+      } else if (char === "'") {
+        parts.push(this.parseLiteralString());
+      } else {
+        let key = '';
+        while (this.peek() !== undefined && BARE_KEY.test(this.peek())) key += this.next();
+        if (!key) throw this.error(`Expected a key but found ${this.describe()}`);
+        parts.push(key);
+      }
+      this.skipSpaces();
+      if (this.peek() !== '.') return parts;
+      this.next();
+    }
+  }
+
+  parseBasicString() {
+    if (this.startsWith('"""')) return this.parseMultilineBasicString();
+    this.expect('"');
+    let value = '';
+    for (;;) {
+      if (this.peek() === undefined || this.peek() === '\n') throw this.error('Unterminated string');
+      const char = this.next();
+      if (char === '"') return value;
+      value += char === '\\' ? this.parseEscape() : char;
+    }
+  }
+
+  parseMultilineBasicString() {
+    this.pos += 3;
+    if (this.peek() === '\n') this.next();
+    let value = '';
+    for (;;) {
+      if (this.peek() === undefined) throw this.error('Unterminated multi-line string');
+      if (this.startsWith('"""')) {
+        return value + this.closeMultiline('"');
+      }
+      const char = this.next();
+      if (char !== '\\') {
+        value += char;
+      } else if (/[ \t\n]/.test(this.peek())) {
+        // Line-ending backslash trims the newline and leading whitespace
+        while (/[ \t\n]/.test(this.peek() || '')) this.next();
+      } else {
+        value += this.parseEscape();
+      }
+    }
+  }
+
+  // Up to two quotes may directly precede the closing delimiter, so a string can end in a quote
+  closeMultiline(quote) {
+    let run = 0;
+    while (this.peek(run) === quote) run++;
+    if (run > 5) throw this.error('Too many quotes at the end of a multi-line string');
+    this.pos += run;
+    return quote.repeat(run - 3);
+  }
+
+  parseEscape() {
+    const char = this.next();
+    if (ESCAPES[char] !== undefined) return ESCAPES[char];
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = this.text.slice(this.pos, this.pos + length);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) throw this.error(`Invalid unicode escape \\${char}${hex}`);
+      this.pos += length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    throw this.error(`Invalid escape sequence \\${char}`);
+  }
+
+  parseLiteralString() {
+    if (this.startsWith("'''")) {
+      this.pos += 3;
+      if (this.peek() === '\n') this.next();
+      const end = this.text.indexOf("'''", this.pos);
+      if (end === -1) throw this.error('Unterminated multi-line string');
+      const value = this.text.slice(this.pos, end);
+      while (this.pos < end) this.next();
+      return value + this.closeMultiline("'");
+    }
+
+    this.expect("'");
+    let value = '';
+    for (;;) {
+      if (this.peek() === undefined || this.peek() === '\n') throw this.error('Unterminated string');
+      const char = this.next();
+      if (char === "'") return value;
+      value += char;
+    }
+  }
+
+  parseValue() {
+    const char = this.peek();
+    if (char === '"') return this.parseBasicString();
+    if (char === "'") return this.parseLiteralString();
+    if (char === '[') return this.parseArray();
+    if (char === '{') return this.parseInlineTable();
+
+    // Numbers, booleans and dates run until a delimiter
+    const match = /^[^\s,\]}#]+(?: \d{2}:\d{2}[^\s,\]}#]*)?/.exec(this.text.slice(this.pos));
+    if (!match) throw this.error(`Expected a value but found ${this.describe()}`);
+    const raw = match[0];
+    this.pos += raw.length;
+
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^[+-]?(inf|nan)$/.test(raw)) return raw.endsWith('inf') ? (raw[0] === '-' ? -Infinity : Infinity) : NaN;
+    if (/^0x[0-9A-Fa-f_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 16);
+    if (/^0o[0-7_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 8);
+    if (/^0b[01_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 2);
+    if (/^[+-]?\d[\d_]*$/.test(raw)) return Number(raw.replace(/_/g, ''));
+    if (/^[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d[\d_]*)?$/.test(raw)) return Number(raw.replace(/_/g, ''));
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(raw)) return raw;
+    if (/^\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(raw)) return raw;
+    throw this.error(`Invalid value ${raw}`);
+  }
+
+  parseArray() {
+    this.expect('[');
+    const values = [];
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === ']') break;
+      values.push(this.parseValue());
+      this.skipBlank();
+      if (this.peek() === ',') {
+        this.next();
+      } else if (this.peek() !== ']') {
+        throw this.error(`Expected "," or "]" in array but found ${this.describe()}`);
+      }
+    }
+    this.next();
+    return values;
+  }
+
+  parseInlineTable() {
+    this.expect('{');
+    const table = {};
+    this.skipSpaces();
+    if (this.peek() === '}') {
+      this.next();
+      return table;
+    }
+    for (;;) {
+      this.parseKeyValue(table);
+      this.skipSpaces();
+      if (this.peek() === '}') {
+        this.next();
+        return table;
+      }
+      if (this.peek() !== ',') throw this.error(`Expected "," or "}" in inline table but found ${this.describe()}`);
+      this.next();
+    }
+  }
+
+  parseKeyValue(table) {
+    const keys = this.parseKey();
+    this.expect('=');
+    this.skipSpaces();
+    const value = this.parseValue();
+
+    let target = table;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] === undefined) target[key] = {};
+      if (typeof target[key] !== 'object' || Array.isArray(target[key])) {
+        throw this.error(`Key "${keys.join('.')}" conflicts with an existing value`);
+      }
+      target = target[key];
+    }
+    const last = keys[keys.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, last)) {
+      throw this.error(`Duplicate key "${keys.join('.')}"`);
+    }
+    target[last] = value;
+  }
+
+  parseTableHeader(root) {
+    const isArray = this.startsWith('[[');
+    this.pos += isArray ? 2 : 1;
+    const keys = this.parseKey();
+    this.expect(']');
+    if (isArray) this.expect(']');
+
+    let target = root;
+    keys.forEach((key, index) => {
+      const last = index === keys.length - 1;
+      if (last && isArray) {
+        if (target[key] === undefined) target[key] = [];
+        if (!Array.isArray(target[key])) throw this.error(`"${keys.join('.')}" is not an array of tables`);
+        target[key].push({});
+        target = target[key][target[key].length - 1];
+        return;
+      }
+      if (target[key] === undefined) target[key] = {};
+      const value = target[key];
+      // [a.b] after [[a]] refers to the last table of the array
+      target = Array.isArray(value) ? value[value.length - 1] : value;
+      if (typeof target !== 'object' || target === null) {
+        throw this.error(`Table "${keys.join('.')}" conflicts with an existing value`);
+      }
+    });
+    return target;
+  }
+
+  parse() {
+    const root = {};
+    let table = root;
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === undefined) return root;
+      if (this.peek() === '[') {
+        table = this.parseTableHeader(root);
+      } else {
+        this.parseKeyValue(table);
+      }
+      this.endOfLine();
+    }
+  }
+}
+
+/**
+ * Parses a TOML document into plain objects. Throws a TomlError that carries
+ * the 1-based line number on invalid input.
+ */
+export function parseToml(text) {
+  return new Parser(text).parse();
+}
+
+export { TomlError };
@@ -0,0 +1,44 @@
+import { CONFIG_FILE } from './config.js';
+import { expandUrlPattern, getEnvironmentUrl } from './environments.js';
+import { getWranglerConfigFile, getWranglerUrls, readWranglerConfig } from './wrangler.js';
+import { getWorkflowFile, readWorkflowInputs } from './workflows.js';
+
+/**
+ * Resolves where an environment is actually served, in order of authority:
+ * the routes and workers_dev setting of its wrangler config, the
+ * deployment_url_pattern of its deploy-<env>.yml workflow, and finally the
+ * environment's URL pattern from worker-config.json or the defaults.
+ *
+ * Returns { urls, source: { type, file }, warnings }; `urls` is never empty.
+ */
+export function resolveEnvironmentUrls(env, config) {
+  const inputs = readWorkflowInputs(env) || {};
+  const serviceName = inputs.service_name || config.serviceName;
+  const workersDomain = inputs.workers_domain || config.workersDomain;
+  const warnings = [];
+
+  const wranglerFile = getWranglerConfigFile(env, inputs);
+  try {
+    const wrangler = readWranglerConfig(wranglerFile);
+    const urls = wrangler ? getWranglerUrls(wrangler, workersDomain) : [];
+    if (urls.length > 0) {
+      return { urls, source: { type: 'wrangler', file: wranglerFile }, warnings };
+    }
+  } catch (error) {
+    warnings.push(error.message);
+  }
+
+  if (inputs.deployment_url_pattern) {
+    return {
+      urls: [expandUrlPattern(inputs.deployment_url_pattern, serviceName, env.name, workersDomain)],
+      source: { type: 'workflow', file: getWorkflowFile(env) },
+      warnings
+    };
+  }
+
+  return {
+    urls: [getEnvironmentUrl(env, config.serviceName, config.workersDomain)],
+    source: config.source === CONFIG_FILE ? { type: 'config', file: CONFIG_FILE } : { type: 'default', file: null },
+    warnings
+  };
+}
@@ -0,0 +1,50 @@
+import { existsSync, readFileSync } from 'fs';
+
+// Services of a monorepo each have a caller workflow per environment, e.g. deploy-api-prod.yml
+export function getWorkflowFile(env) {
+  return `.github/workflows/deploy-${env.service ? `${env.service}-` : ''}${env.name}.yml`;
+}
+
+function parseScalar(raw) {
+  let value = raw.trim();
+  if (value.startsWith("'") || value.startsWith('"')) {
+    const quote = value[0];
+    const end = value.indexOf(quote, 1);
+    value = end === -1 ? value.slice(1) : value.slice(1, end);
+    return quote === "'" ? value.replace(/''/g, "'") : value;
+  }
+  // Unquoted values end at a comment
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Reads the literal `with:` inputs a deploy-<env>.yml caller workflow passes to
+ * deploy.yml. Commented-out lines and `${{ }}` expressions are skipped, since
+ * their value is only known inside Actions. Returns null if there is no workflow.
+ */
+export function readWorkflowInputs(env) {
+  const file = getWorkflowFile(env);
+  if (!existsSync(file)) return null;
+
+  const inputs = {};
+  let withIndent = null;
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (/^\s*(#.*)?$/.test(line)) continue;
+    const indent = line.search(/\S/);
+
+    if (withIndent === null) {
+      if (/^\s*with:\s*$/.test(line)) withIndent = indent;
+      continue;
+    }
+    if (indent <= withIndent) break;
+
+    const match = /^\s*([A-Za-z0-9_-]+):\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const value = parseScalar(match[2]);
+    if (value !== '' && !value.includes('${{')) {
+      inputs[match[1]] = value;
+    }
+  }
+
+  return inputs;
+}
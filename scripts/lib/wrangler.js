@@ -0,0 +1,261 @@
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { getWorkerName } from './environments.js';
+import { parseToml } from './toml.js';
+
+/**
+ * The wrangler config deploy.yml uses for an environment: the caller
+ * workflow's wrangler_config input, the service's config in a monorepo, or
+ * wrangler.<env>.toml.
+ */
+export function getWranglerConfigFile(env, workflowInputs = null) {
+  return (workflowInputs && workflowInputs.wrangler_config) || env.wranglerConfig || `wrangler.${env.name}.toml`;
+}
+
+/**
+ * Parses a wrangler TOML file. Returns null if it does not exist and throws
+ * with the file name and line number if it is not valid TOML.
+ */
+export function readWranglerConfig(file) {
+  if (!existsSync(file)) return null;
+
+  try {
+    return parseToml(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Runs wrangler with an argument list, without a shell, so tags, messages
+ * and paths are passed as they are. Returns the trimmed output; throws with
+ * the last lines of wrangler's output when it fails.
+ */
+export function runWrangler(args, options = {}) {
+  try {
+    return execFileSync('wrangler', args, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      ...options
+    }).trim();
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`.trim();
+    throw new Error(`wrangler ${args.join(' ')} failed${output ? `: ${output.split('\n').slice(-3).join(' ')}` : error.code === 'ENOENT' ? ': wrangler is not installed' : ''}`);
+  }
+}
+
+// "app.example.com/*" → https://app.example.com, "example.com/api/*" → https://example.com/api
+function routeToUrl(pattern) {
+  const host = pattern
+    .replace(/^https?:\/\//, '')
+    .replace(/\/?\*$/, '')
+    .replace(/^\*\.?/, '')
+    .replace(/\/$/, '');
+  return `https://${host}`;
+}
+
+/**
+ * Returns the URLs a wrangler config deploys to: one per `route`/`routes`
+ * entry, plus the workers.dev URL when `workers_dev` is enabled. Like
+ * wrangler, workers_dev defaults to true only when no routes are set.
+ */
+export function getWranglerUrls(wrangler, workersDomain) {
+  const routes = [
+    ...(wrangler.route ? [wrangler.route] : []),
+    ...(Array.isArray(wrangler.routes) ? wrangler.routes : [])
+  ];
+
+  const urls = routes
+    .map(route => (typeof route === 'string' ? route : route && route.pattern))
+    .filter(Boolean)
+    .map(routeToUrl);
+
+  const workersDev = wrangler.workers_dev ?? routes.length === 0;
+  if (workersDev && wrangler.name) {
+    urls.push(`https://${wrangler.name}.${workersDomain}`);
+  }
+
+  return [...new Set(urls)];
+}
+
+// Binding kinds compared across environments, keyed by the wrangler setting
+const BINDING_KINDS = [
+  { kind: 'KV', list: wrangler => wrangler.kv_namespaces, key: 'binding' },
+  { kind: 'R2', list: wrangler => wrangler.r2_buckets, key: 'binding' },
+  { kind: 'D1', list: wrangler => wrangler.d1_databases, key: 'binding' },
+  { kind: 'Durable Object', list: wrangler => wrangler.durable_objects && wrangler.durable_objects.bindings, key: 'name' },
+  { kind: 'var', list: wrangler => Object.keys(wrangler.vars || {}).map(name => ({ name })), key: 'name' }
+];
+
+/**
+ * Lists a wrangler config's bindings as "<kind> <name>" entries, e.g. "KV CACHE".
+ */
+export function getBindings(wrangler) {
+  const bindings = [];
+  for (const { kind, list, key } of BINDING_KINDS) {
+    for (const entry of list(wrangler) || []) {
+      if (entry && entry[key]) bindings.push({ kind, name: entry[key] });
+    }
+  }
+  return bindings;
+}
+
+function checkMain(main, file) {
+  if (!main) {
+    return { level: 'error', file, message: 'main is not set', fix: 'Add main = "dist/index.js" (or your source entry point)' };
+  }
+  // wrangler resolves main relative to the config file, which matters for services in subdirectories
+  const directory = path.dirname(file);
+  if (existsSync(path.join(directory, main))) return null;
+
+  // deploy.yml builds into dist/ before deploying, so a missing dist/ entry is fine until the first build
+  const normalized = main.replace(/^\.\//, '');
+  if (normalized.startsWith('dist/')) {
+    return existsSync(path.join(directory, 'dist'))
+      ? { level: 'warning', file, message: `main "${main}" is not in the current build output`, fix: 'Check that the build writes this file into dist/' }
+      : null;
+  }
+  return {
+    level: 'error',
+    file,
+    message: `main "${main}" does not exist and is not under dist/, where the build writes`,
+    fix: 'Point main at your source entry point or at the bundle the build writes to dist/'
+  };
+}
+
+function describeValues(entries, read) {
+  return entries.map(entry => `${entry.env.name}: ${read(entry.wrangler) ?? '(unset)'}`).join(', ');
+}
+
+/**
+ * Lints the wrangler configs of all environments. `entries` are
+ * { env, file, wrangler } objects. Returns { problems, parity }: problems are
+ * { level, file, message, fix } and parity lists every binding that is not
+ * defined in all environments.
+ */
+export function lintWranglerConfigs(entries, serviceName) {
+  const problems = [];
+
+  for (const { env, file, wrangler } of entries) {
+    const expectedName = getWorkerName(env, serviceName);
+    if (wrangler.name !== expectedName) {
+      problems.push({
+        level: 'error',
+        file,
+        message: wrangler.name ? `name is "${wrangler.name}", expected "${expectedName}"` : 'name is not set',
+        fix: `Set name = "${expectedName}" so deploys reach the ${env.label} Worker`
+      });
+    }
+
+    const mainProblem = checkMain(wrangler.main, file);
+    if (mainProblem) problems.push(mainProblem);
+
+    if (!wrangler.compatibility_date) {
+      problems.push({ level: 'error', file, message: 'compatibility_date is not set', fix: 'Add compatibility_date = "YYYY-MM-DD"' });
+    }
+  }
+
+  if (entries.length > 1) {
+    const readDate = wrangler => wrangler.compatibility_date;
+    if (new Set(entries.map(entry => readDate(entry.wrangler))).size > 1) {
+      problems.push({
+        level: 'warning',
+        file: null,
+        message: `compatibility_date differs between environments (${describeValues(entries, readDate)})`,
+        fix: 'Use the same date everywhere so dev and QA test the runtime production gets'
+      });
+    }
+
+    const readFlags = wrangler => [...(wrangler.compatibility_flags || [])].sort().join(' ') || null;
+    if (new Set(entries.map(entry => readFlags(entry.wrangler))).size > 1) {
+      problems.push({
+        level: 'warning',
+        file: null,
+        message: `compatibility_flags differ between environments (${describeValues(entries, readFlags)})`,
+        fix: 'Use the same flags everywhere'
+      });
+    }
+  }
+
+  const present = new Map();
+  for (const { env, wrangler } of entries) {
+    for (const binding of getBindings(wrangler)) {
+      const id = `${binding.kind} ${binding.name}`;
+      if (!present.has(id)) present.set(id, { ...binding, environments: new Set() });
+      present.get(id).environments.add(env.name);
+    }
+  }
+
+  const parity = [...present.values()]
+    .filter(binding => binding.environments.size < entries.length)
+    .map(binding => ({
+      kind: binding.kind,
+      name: binding.name,
+      missing: entries.map(entry => entry.env.name).filter(name => !binding.environments.has(name)),
+      present: Object.fromEntries(entries.map(entry => [entry.env.name, binding.environments.has(entry.env.name)]))
+    }));
+
+  return { problems, parity };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Sets `field` on the entry of a binding list (e.g. "kv_namespaces" or
+ * "queues.producers") whose `binding` is `binding`, editing the TOML text in
+ * place so comments and layout survive. Handles both [[table]] entries and
+ * single-line inline tables.
+ */
+export function setBindingField(text, section, binding, field, value) {
+  const lines = text.split('\n');
+  const bindingPattern = new RegExp(`(^|[{,\\s])binding\\s*=\\s*(["'])${escapeRegExp(binding)}\\2`);
+  const fieldPattern = new RegExp(`^(\\s*${field}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s#]+)`);
+  const quoted = JSON.stringify(value);
+
+  const header = new RegExp(`^\\s*\\[\\[\\s*${escapeRegExp(section)}\\s*\\]\\]`);
+  for (let start = 0; start < lines.length; start++) {
+    if (!header.test(lines[start])) continue;
+
+    let end = start + 1;
+    while (end < lines.length && !/^\s*\[/.test(lines[end])) end++;
+    const bindingLine = lines.slice(start + 1, end).findIndex(line => bindingPattern.test(line.replace(/#.*$/, '')));
+    if (bindingLine === -1) continue;
+
+    const fieldLine = lines.slice(start + 1, end).findIndex(line => fieldPattern.test(line));
+    if (fieldLine === -1) {
+      const indent = lines[start + 1 + bindingLine].match(/^\s*/)[0];
+      lines.splice(start + 2 + bindingLine, 0, `${indent}${field} = ${quoted}`);
+    } else {
+      lines[start + 1 + fieldLine] = lines[start + 1 + fieldLine].replace(fieldPattern, `$1${quoted}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Inline tables must fit on one line, inside an array assigned to the section's last key
+  const key = section.split('.').pop();
+  const arrayStart = new RegExp(`(^|\\.|\\s)${escapeRegExp(key)}\\s*=\\s*\\[`);
+  let inArray = false;
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (arrayStart.test(line.replace(/#.*$/, ''))) inArray = true;
+    else if (/^\s*(\[|[A-Za-z0-9_."-]+\s*=)/.test(line) && !/^\s*\{/.test(line)) inArray = false;
+    if (!inArray) continue;
+
+    const updated = line.replace(/\{[^{}]*\}/g, (table) => {
+      if (!bindingPattern.test(table)) return table;
+      const inlineField = new RegExp(`([{,]\\s*${field}\\s*=\\s*)("[^"]*"|'[^']*'|[^,}\\s]+)`);
+      return inlineField.test(table)
+        ? table.replace(inlineField, `$1${quoted}`)
+        : table.replace(/\s*\}$/, `, ${field} = ${quoted} }`);
+    });
+    if (updated !== line) {
+      lines[index] = updated;
+      return lines.join('\n');
+    }
+  }
+
+  throw new Error(`No ${section} entry with binding "${binding}" found`);
+}
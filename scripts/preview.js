@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+import { execFileSync } from 'child_process';
+import { appendFileSync, existsSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { CloudflareClient, getApiToken } from './lib/cloudflare.js';
+import { loadConfig } from './lib/config.js';
+import { getGitHubRepository, getPullRequestState } from './lib/github.js';
+import {
+  createPreviewConfig,
+  getPreviewBranch,
+  getPreviewWorkerName,
+  isPreviewWorkerName,
+  PREVIEW_BRANCH_VAR
+} from './lib/preview.js';
+import { getRequiredSecrets } from './lib/secrets.js';
+import { getServiceScope } from './lib/services.js';
+import { getWranglerConfigFile, runWrangler } from './lib/wrangler.js';
+import { readWorkflowInputs } from './lib/workflows.js';
+
+const USAGE = `Usage: node scripts/preview.js [options]
+
+Deploys the current branch to a preview Worker of its own, built from the
+wrangler config of the environment that deploys from a branch (dev).
+
+Options:
+  --service <name>     Service to preview, when worker-config.json lists
+                       services: its Worker name and wrangler config are used
+  --branch <name>      Branch to preview (default: the current branch, or
+                       GITHUB_HEAD_REF in a pull request workflow)
+  --pr <number>        Name the Worker after a pull request: <service>-pr-<n>
+                       (default: from GITHUB_REF in a pull request workflow)
+  --cleanup            List preview Workers and delete those whose pull request
+                       was closed, whose branch was merged or removed, or that
+                       were idle too long
+  --idle-days <n>      With --cleanup, also delete previews not deployed for
+                       this many days (default: 14)
+  -y, --yes            With --cleanup, delete without asking
+  --dry-run            Show the preview config, or the previews cleanup would
+                       delete, without changing anything
+  -h, --help           Show this help`;
+
+const DAY = 24 * 60 * 60 * 1000;
+const PREVIEW_CONFIG_FILE = '.wrangler-preview.toml';
+
+let rl = null;
+
+function question(prompt) {
+  // Created lazily so that non-interactive runs never hold stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => {
+    rl.question(prompt, resolve);
+  });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        service: { type: 'string' },
+        branch: { type: 'string' },
+        pr: { type: 'string' },
+        cleanup: { type: 'boolean', default: false },
+        'idle-days': { type: 'string', default: '14' },
+        yes: { type: 'boolean', short: 'y', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (values.pr !== undefined && !/^[1-9]\d*$/.test(values.pr)) {
+      throw new Error(`Invalid --pr "${values.pr}". Use the pull request number.`);
+    }
+    if (!/^\d+$/.test(values['idle-days'])) {
+      throw new Error(`Invalid --idle-days "${values['idle-days']}". Use a whole number of days.`);
+    }
+    if (values.yes && !values.cleanup) {
+      throw new Error('--yes requires --cleanup');
+    }
+    if (values.cleanup && (values.branch || values.pr)) {
+      throw new Error('--cleanup cannot be combined with --branch or --pr');
+    }
+    return values;
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+// Without a shell: branch names come from the PREVIEW_BRANCH vars of deployed Workers
+function gitSilent(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Previews are built from the environment that deploys from a branch
+function getBaseEnvironment(config) {
+  const env = config.environments.find(candidate => candidate.deployFrom === 'branch');
+  if (!env) {
+    fail('No environment deploys from a branch, so there is no wrangler config to base previews on.');
+  }
+  return env;
+}
+
+function getBranch(options) {
+  if (options.branch) return options.branch;
+  // Pull request checkouts are detached; GitHub names the branch in the environment
+  const current = gitSilent(['rev-parse', '--abbrev-ref', 'HEAD']);
+  const branch = current && current !== 'HEAD' ? current : process.env.GITHUB_HEAD_REF || null;
+  if (!branch) {
+    fail('Cannot tell which branch is checked out. Pass --branch <name>.');
+  }
+  return branch;
+}
+
+function getPullRequest(options) {
+  if (options.pr) return options.pr;
+  const match = (process.env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+  return match ? match[1] : null;
+}
+
+async function deployPreview(options, config) {
+  const env = getBaseEnvironment(config);
+  const branch = getBranch(options);
+  const pr = getPullRequest(options);
+  const workerName = getPreviewWorkerName(config.serviceName, { branch, pr });
+
+  const source = getWranglerConfigFile(env, readWorkflowInputs(env));
+  if (!existsSync(source)) {
+    fail(`${source} not found. Previews are built from the ${env.label} wrangler config.`);
+  }
+
+  // Next to the source config, so that main and other relative paths still resolve
+  const file = path.join(path.dirname(source), PREVIEW_CONFIG_FILE);
+  const text = createPreviewConfig(readFileSync(source, 'utf8'), { name: workerName, branch, pr, source });
+
+  console.log(`🔭 Preview of ${branch}${pr ? ` (PR #${pr})` : ''}`);
+  console.log(`  Worker: ${workerName}`);
+  console.log(`  Based on: ${source}`);
+
+  if (options['dry-run']) {
+    console.log(`\n📄 ${file}:\n`);
+    console.log(text);
+    console.log('🔍 Dry run: nothing was deployed.');
+    return;
+  }
+
+  let output;
+  writeFileSync(file, text);
+  try {
+    console.log('\n🚀 Deploying...');
+    output = runWrangler(['deploy', '--config', file]);
+  } finally {
+    rmSync(file, { force: true });
+  }
+
+  const deployed = output.match(/https:\/\/[^\s]+\.workers\.dev\b/);
+  const url = deployed ? deployed[0] : `https://${workerName}.${config.workersDomain}`;
+  console.log(`\n✅ Preview deployed: ${url}`);
+
+  // Preview Workers start without secrets; they are not copied from the environment
+  const secrets = getRequiredSecrets(config, env);
+  if (secrets.length > 0) {
+    console.log(`⚠️  ${workerName} has none of the ${env.label} secrets (${secrets.join(', ')})`);
+    console.log(`   💡 Add them with: wrangler secret put <NAME> --name ${workerName}`);
+  }
+
+  if (process.env.GITHUB_OUTPUT) {
+    appendFileSync(process.env.GITHUB_OUTPUT, `worker=${workerName}\nurl=${url}\n`);
+  }
+}
+
+function hasOrigin() {
+  return gitSilent(['remote', 'get-url', 'origin']) !== null;
+}
+
+// The commits made on a branch itself, without those its merges brought in
+const mainlines = new Map();
+function getMainline(ref) {
+  if (!mainlines.has(ref)) {
+    mainlines.set(ref, new Set((gitSilent(['rev-list', '--first-parent', ref]) || '').split('\n')));
+  }
+  return mainlines.get(ref);
+}
+
+/**
+ * With an origin, a branch only counts while it is pushed; local branches
+ * linger. A branch is merged once a merge brought its own commits into the
+ * base branch. A branch without commits of its own points into the base
+ * branch's history too, so that case (and a fast-forward) is left to the
+ * idle check.
+ */
+function getBranchCleanupReason(branch, baseBranch) {
+  const remote = hasOrigin();
+  const ref = remote ? `refs/remotes/origin/${branch}` : `refs/heads/${branch}`;
+  const baseRef = remote && gitSilent(['rev-parse', '-q', '--verify', `refs/remotes/origin/${baseBranch}`])
+    ? `refs/remotes/origin/${baseBranch}`
+    : `refs/heads/${baseBranch}`;
+
+  const tip = gitSilent(['rev-parse', '-q', '--verify', `${ref}^{commit}`]);
+  if (!tip) {
+    return 'branch removed';
+  }
+  if (gitSilent(['merge-base', '--is-ancestor', tip, baseRef]) !== null && !getMainline(baseRef).has(tip)) {
+    return `merged into ${baseBranch}`;
+  }
+  return null;
+}
+
+/**
+ * Why a preview can go: its pull request was merged or closed, its branch
+ * was removed or merged into the base branch, or it was not deployed for
+ * `idleDays`. Pull request previews are judged by the pull request, since
+ * branches of forks never exist on origin. Returns null to keep it.
+ */
+async function getCleanupReason(preview, baseBranch, idleDays, repository) {
+  if (preview.pr) {
+    try {
+      if (!repository) {
+        throw new Error('no GitHub repository (set GITHUB_REPOSITORY=owner/repo)');
+      }
+      const pull = await getPullRequestState(repository, preview.pr);
+      if (pull.state === 'closed') {
+        return `PR #${preview.pr} ${pull.merged ? 'merged' : 'closed'}`;
+      }
+    } catch (error) {
+      console.log(`⚠️  Cannot check PR #${preview.pr} of ${preview.worker}: ${error.message}`);
+    }
+  } else if (preview.branch !== baseBranch) {
+    const reason = getBranchCleanupReason(preview.branch, baseBranch);
+    if (reason) return reason;
+  }
+  if (preview.idleDays !== null && preview.idleDays >= idleDays) {
+    return `idle for ${preview.idleDays} days`;
+  }
+  return null;
+}
+
+async function cleanupPreviews(options, config) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  if (!token) {
+    fail('No API token to list the Workers with. Set CLOUDFLARE_API_TOKEN, or run: wrangler login');
+  }
+  const client = new CloudflareClient({ token, accountId });
+  const baseBranch = getBaseEnvironment(config).branch;
+  const repository = getGitHubRepository();
+
+  console.log(`🧹 Preview Workers of ${config.serviceName}\n`);
+  if (hasOrigin() && gitSilent(['fetch', '--prune', '--quiet', 'origin']) === null) {
+    console.log('⚠️  Could not fetch from origin; branch checks use the last fetched state\n');
+  }
+
+  const scripts = (await client.listScripts()).filter(script => isPreviewWorkerName(config.serviceName, script.id));
+  if (scripts.length === 0) {
+    console.log('No preview Workers found.');
+    return;
+  }
+
+  // Only Workers this command deployed carry the branch; others that merely look like previews are never touched
+  const previews = [];
+  const unmarked = [];
+  for (const script of scripts) {
+    const { branch, pr } = getPreviewBranch(await client.getScriptSettings(script.id));
+    if (!branch) {
+      unmarked.push(script.id);
+      continue;
+    }
+    const modified = Date.parse(script.modified_on);
+    const preview = {
+      worker: script.id,
+      branch,
+      pr,
+      idleDays: Number.isNaN(modified) ? null : Math.floor((Date.now() - modified) / DAY)
+    };
+    previews.push({ ...preview, reason: await getCleanupReason(preview, baseBranch, Number(options['idle-days']), repository) });
+  }
+
+  if (previews.length > 0) {
+    const rows = [
+      ['WORKER', 'BRANCH', 'IDLE', 'ACTION'],
+      ...previews.map(preview => [
+        preview.worker,
+        `${preview.branch}${preview.pr ? ` (#${preview.pr})` : ''}`,
+        preview.idleDays === null ? '-' : `${preview.idleDays}d`,
+        preview.reason ? `delete: ${preview.reason}` : 'keep'
+      ])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    for (const row of rows) {
+      console.log(`   ${row.map((text, column) => text.padEnd(widths[column])).join('  ').trimEnd()}`);
+    }
+    console.log('');
+  }
+  if (unmarked.length > 0) {
+    console.log(`ℹ️  Not deployed as previews (no ${PREVIEW_BRANCH_VAR} var), left alone: ${unmarked.join(', ')}\n`);
+  }
+
+  const stale = previews.filter(preview => preview.reason);
+  if (stale.length === 0) {
+    console.log('✅ No previews to delete');
+    return;
+  }
+  if (options['dry-run']) {
+    console.log(`🔍 Dry run: ${stale.length} preview(s) would be deleted.`);
+    return;
+  }
+  if (!options.yes) {
+    const answer = await question(`Delete ${stale.length} preview Worker(s)? (y/n): `);
+    if (answer.toLowerCase() !== 'y') {
+      console.log('❌ Cleanup cancelled.');
+      return;
+    }
+  }
+
+  for (const preview of stale) {
+    try {
+      await client.deleteScript(preview.worker);
+      console.log(`🗑️  Deleted ${preview.worker}`);
+    } catch (error) {
+      console.error(`❌ Could not delete ${preview.worker}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = getServiceScope(loadConfig(), options.service);
+
+  // wrangler picks the account from the environment
+  if (config.accountId && !process.env.CLOUDFLARE_ACCOUNT_ID) {
+    process.env.CLOUDFLARE_ACCOUNT_ID = config.accountId;
+  }
+
+  if (options.cleanup) {
+    await cleanupPreviews(options, config);
+  } else {
+    await deployPreview(options, config);
+  }
+}
+
+main()
+  .catch((error) => fail(error.message))
+  .finally(() => rl?.close());
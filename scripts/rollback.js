@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+import { execSync } from 'child_process';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { loadConfig } from './lib/config.js';
+import {
+  findEnvironment,
+  getTagEnvironments,
+  getTagName,
+  getDeployedVersion,
+  getTagVersion,
+  listTagsByDate
+} from './lib/environments.js';
+import { findService, getServiceConfig } from './lib/services.js';
+import { describeSignature, getSigningSetup, getTagSignature } from './lib/signing.js';
+
+const USAGE = `Usage: node scripts/rollback.js [options]
+
+Options:
+  --env <name>         Environment to roll back (qa, prod or one from worker-config.json)
+  --service <name>     Service to roll back when worker-config.json lists services
+  --to <tag|version>   Tag to roll back to (default: the newest older release)
+  --reason <text>      Why the rollback is needed (recorded in the tag message)
+  --list <n>           Number of recent tags to show (default: 10)
+  -y, --yes            Non-interactive: never prompt, fail on missing values
+  --dry-run            Run all checks and show the tag without creating it
+  --no-push            Create the tag locally without pushing it to origin
+  --sign               Sign the tag with your git signing key; always on when
+                       worker-config.json sets requireSignedTags
+  -h, --help           Show this help`;
+
+let rl = null;
+
+function question(prompt) {
+  // Created lazily so that non-interactive runs never hold stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => {
+    rl.question(prompt, resolve);
+  });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        env: { type: 'string' },
+        service: { type: 'string' },
+        to: { type: 'string' },
+        reason: { type: 'string' },
+        list: { type: 'string', default: '10' },
+        yes: { type: 'boolean', short: 'y', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        'no-push': { type: 'boolean', default: false },
+        sign: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    return values;
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+// Use the flag value when given, otherwise prompt (unless running with --yes)
+async function ask(options, flag, prompt) {
+  if (options[flag] !== undefined) return options[flag];
+  if (options.yes) {
+    fail(`--${flag} is required when running non-interactively (--yes).`);
+  }
+  return question(prompt);
+}
+
+function exec(command) {
+  try {
+    return execSync(command, { encoding: 'utf8' }).trim();
+  } catch (error) {
+    console.error(`Error executing: ${command}`);
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+function execSilent(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// In a monorepo, each service has its own tags, e.g. api-prod-1.2.0
+async function chooseService(options, config) {
+  if (config.services.length === 0) {
+    if (options.service !== undefined) {
+      fail('--service needs a "services" list in worker-config.json.');
+    }
+    return config;
+  }
+
+  const names = config.services.map(service => service.name);
+  const name = await ask(options, 'service', `Service to roll back (${names.join('/')}): `);
+  const service = findService(config.services, name.trim().toLowerCase());
+  if (!service) {
+    fail(`Invalid service "${name}". Must be one of: ${names.map(candidate => `"${candidate}"`).join(', ')}.`);
+  }
+  return getServiceConfig(config, service);
+}
+
+function getRecentTags(env) {
+  // Most recently created first, so the head of the list is what is deployed now
+  return listTagsByDate(env).reverse().map(({ tag, date, subject }) => ({
+    tag,
+    date: date.slice(0, 10),
+    subject,
+    commit: execSilent(`git rev-parse --short "${tag}^{commit}"`)
+  }));
+}
+
+function getNextRollbackTag(env, version) {
+  // Rollbacks to the same version get increasing suffixes: prod-1.4.2-rollback.1, .2, ...
+  const base = getTagName(env, `${getDeployedVersion(version)}-rollback`);
+  const existing = execSilent(`git tag -l "${base}.*"`);
+  const numbers = (existing ? existing.split('\n') : [])
+    .map(tag => Number(tag.slice(base.length + 1)))
+    .filter(Number.isInteger);
+
+  return `${base}.${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+}
+
+function showRecentTags(tags, limit) {
+  console.log('\n📜 Recent tags (newest first):');
+  tags.slice(0, limit).forEach((entry, index) => {
+    const marker = index === 0 ? ' ← current' : '';
+    console.log(`  ${index + 1}. ${entry.tag} (${entry.commit}, ${entry.date}) ${entry.subject}${marker}`);
+  });
+  console.log('');
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  console.log('⏪ Roll Back Deployment\n');
+
+  // Check for uncommitted changes
+  const status = exec('git status --porcelain');
+  if (status) {
+    fail('You have uncommitted changes. Please commit or stash them first.');
+  }
+
+  // Make sure tags created elsewhere (CI, teammates) are known
+  if (execSilent('git fetch --tags --quiet origin') === null) {
+    console.log('⚠️  Could not fetch tags from origin; using local tags only');
+  }
+
+  const config = await chooseService(options, loadConfig());
+  const environments = getTagEnvironments(config.environments);
+  const names = environments.map(candidate => candidate.name);
+  const envName = (await ask(options, 'env', `Environment to roll back (${names.join('/')}): `)).toLowerCase();
+  const env = findEnvironment(environments, envName);
+  if (!env) {
+    fail(`Invalid environment "${envName}". Must be one of: ${names.map(name => `"${name}"`).join(', ')}.`);
+  }
+
+  const tags = getRecentTags(env);
+  if (tags.length === 0) {
+    fail(`No ${env.tagPrefix}* tags found; nothing to roll back.`);
+  }
+
+  const current = tags[0];
+  showRecentTags(tags, Number(options.list) || 10);
+
+  // Default target: the newest earlier tag on an older commit than the current one
+  const fallback = tags.find(entry => entry.commit !== current.commit &&
+    execSilent(`git merge-base --is-ancestor "${entry.tag}^{commit}" "${current.tag}^{commit}"`) !== null);
+  let target = options.to;
+  if (target === undefined && !options.yes) {
+    target = await question(`Roll back to (number, tag or version; Enter for ${fallback ? fallback.tag : 'none'}): `);
+  }
+
+  let targetTag;
+  if (!target) {
+    targetTag = fallback && fallback.tag;
+  } else if (/^\d+$/.test(target) && tags[Number(target) - 1]) {
+    targetTag = tags[Number(target) - 1].tag;
+  } else {
+    targetTag = getTagVersion(env, target) !== null ? target : getTagName(env, target);
+  }
+
+  const targetCommit = targetTag && execSilent(`git rev-parse --short --verify "${targetTag}^{commit}"`);
+  if (!targetCommit) {
+    fail(`Rollback target not found: ${targetTag || 'no earlier tag on an older commit, use --to'}`);
+  }
+  if (targetCommit === current.commit) {
+    fail(`${targetTag} points at the currently deployed commit (${targetCommit}); nothing to roll back.`);
+  }
+
+  const reason = (await ask(options, 'reason', 'Reason for the rollback: ')).trim();
+  if (!reason) {
+    fail('A reason is required for the rollback.');
+  }
+
+  const sign = options.sign || config.requireSignedTags;
+  const signing = sign ? getSigningSetup() : null;
+  if (signing && !signing.ready) {
+    const policy = config.requireSignedTags ? ' worker-config.json requires signed tags (requireSignedTags).' : '';
+    fail(`Cannot sign the rollback tag: ${signing.problem}.${policy}\n   💡 ${signing.fix}`);
+  }
+
+  const tagName = getNextRollbackTag(env, getTagVersion(env, targetTag));
+  const tagMessage = `Rollback ${env.service ? `${env.service} ` : ''}${env.name} to ${targetTag} (from ${current.tag})\n\nReason: ${reason}\n`;
+
+  // Confirm
+  console.log(`\n📋 Summary:`);
+  if (env.service) {
+    console.log(`  Service: ${env.service}`);
+  }
+  console.log(`  Environment: ${env.name}`);
+  console.log(`  Current: ${current.tag} (${current.commit})`);
+  console.log(`  Roll back to: ${targetTag} (${targetCommit})`);
+  console.log(`  New tag: ${tagName}`);
+  console.log(`  Reason: ${reason}`);
+  console.log(`  Signed: ${signing ? `yes, with ${signing.label}` : 'no'}`);
+  console.log(`  Push: ${options['no-push'] ? 'no (local only)' : 'origin'}`);
+
+  if (options['dry-run']) {
+    console.log('\n🔍 Dry run: no tag was created.');
+    return;
+  }
+
+  if (!options.yes) {
+    const confirm = await question('\nCreate this rollback tag? (y/n): ');
+    if (confirm.toLowerCase() !== 'y') {
+      console.log('❌ Rollback cancelled.');
+      process.exit(0);
+    }
+  }
+
+  try {
+    execSync(`git tag ${sign ? '-s' : '-a'} "${tagName}" "${targetTag}^{commit}" --cleanup=whitespace -F -`, {
+      encoding: 'utf8',
+      input: tagMessage
+    });
+    if (sign) {
+      console.log(`🔏 Signature: ${describeSignature(getTagSignature(tagName))}`);
+    }
+
+    if (options['no-push']) {
+      console.log(`\n✅ Rollback tag created locally: ${tagName}`);
+      console.log(`💡 Push it when ready: git push origin "${tagName}"`);
+    } else {
+      exec(`git push origin "${tagName}"`);
+      console.log(`\n✅ Rollback tag created and pushed: ${tagName}`);
+      console.log(`🚀 Redeployment of ${targetTag} will start automatically via GitHub Actions.`);
+    }
+  } catch (error) {
+    fail(`Failed to create or push rollback tag: ${error.message}`);
+  }
+}
+
+main()
+  .catch((error) => fail(error.message))
+  .finally(() => rl?.close());
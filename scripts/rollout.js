@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+import { appendFileSync } from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { CloudflareClient, CloudflareNotFoundError, getApiToken } from './lib/cloudflare.js';
+import { loadConfig } from './lib/config.js';
+import { findEnvironment, getWorkerName } from './lib/environments.js';
+import {
+  describeSplit,
+  getVersionOverrideHeaders,
+  getVersionSplit,
+  parseRolloutSteps,
+  parseUploadedVersionId
+} from './lib/rollout.js';
+import { getServiceScope } from './lib/services.js';
+import { resolveEnvironmentUrls } from './lib/urls.js';
+import { readWorkflowInputs } from './lib/workflows.js';
+import { getWranglerConfigFile, readWranglerConfig, runWrangler } from './lib/wrangler.js';
+
+const USAGE = `Usage: node scripts/rollout.js --env <name> [options]
+
+Uploads a new version of an environment's Worker without deploying it, then
+shifts traffic to it step by step, checking the new version's health after
+each step. When a check fails, all traffic goes back to the version that was
+deployed before.
+
+Options:
+  --env <name>         Environment to roll out to (e.g. prod)
+  --service <name>     Service to roll out, when worker-config.json lists services
+  --config <file>      Wrangler config to upload (default: the environment's)
+  --version-id <id>    Roll out a version that was already uploaded, or resume
+                       the rollout of the version traffic is split with
+  --steps <list>       Share of traffic at each step, e.g. 10,50,100 (default:
+                       rollout.steps in worker-config.json, or 10,50,100)
+  --interval <sec>     Seconds to wait at each step before the health check
+                       (default: rollout.intervalSeconds, or 60)
+  --url <url>          Base URL to check <url><healthPath> at (default: the
+                       environment's URL)
+  --message <text>     Message recorded with the version and its deployments
+  --tag <name>         Tag recorded with the uploaded version (default: the
+                       tag a GitHub Actions tag workflow runs for)
+  --abort              Send all traffic back to the older version of a split
+  -y, --yes            Do not ask before changing the deployment
+  --dry-run            Show the plan without uploading or deploying anything
+  -h, --help           Show this help`;
+
+let rl = null;
+
+function question(prompt) {
+  // Created lazily so that non-interactive runs never hold stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => {
+    rl.question(prompt, resolve);
+  });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        env: { type: 'string' },
+        service: { type: 'string' },
+        config: { type: 'string' },
+        'version-id': { type: 'string' },
+        steps: { type: 'string' },
+        interval: { type: 'string' },
+        url: { type: 'string' },
+        message: { type: 'string' },
+        tag: { type: 'string' },
+        abort: { type: 'boolean', default: false },
+        yes: { type: 'boolean', short: 'y', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (values.help) return values;
+    if (!values.env) {
+      throw new Error('--env is required');
+    }
+    if (values.steps !== undefined) {
+      values.steps = parseRolloutSteps(values.steps);
+    }
+    if (values.interval !== undefined && !/^\d+$/.test(values.interval)) {
+      throw new Error(`Invalid --interval "${values.interval}". Use a whole number of seconds.`);
+    }
+    if (values['version-id'] !== undefined && !/^[0-9a-f-]{36}$/i.test(values['version-id'])) {
+      throw new Error(`Invalid --version-id "${values['version-id']}". Use the version's full ID.`);
+    }
+    if (values.abort && (values['version-id'] || values.steps || values.tag)) {
+      throw new Error('--abort cannot be combined with --version-id, --steps or --tag');
+    }
+    return values;
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+// In a monorepo, the service's view of the config; --config alone is enough to know the Worker
+function getScope(options, config) {
+  return options.service === undefined && options.config ? config : getServiceScope(config, options.service);
+}
+
+function short(versionId) {
+  return versionId.slice(0, 8);
+}
+
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+async function confirm(options, prompt) {
+  if (options.yes) return true;
+  const answer = await question(prompt);
+  return answer.toLowerCase() === 'y';
+}
+
+/**
+ * Requests the health URL `count` times, pinned to one version, and returns
+ * one failure description per request that did not get a 2xx or 3xx answer.
+ */
+async function checkHealth(url, headers, count, timeoutMs) {
+  const failures = [];
+  for (let i = 0; i < count; i++) {
+    try {
+      const response = await fetch(url, { headers, redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+      if (response.status < 200 || response.status >= 400) {
+        failures.push(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      failures.push(error.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : error.cause?.message || error.message);
+    }
+  }
+  return failures;
+}
+
+async function revert(client, workerName, previous, reason) {
+  console.log(`\n↩️  Reverting: all traffic back to ${short(previous.versionId)}${previous.tag ? ` (${previous.tag})` : ''}`);
+  try {
+    await client.createDeployment(workerName, [{ versionId: previous.versionId, percentage: 100 }], {
+      message: `Rollout reverted: ${reason}`
+    });
+  } catch (error) {
+    fail(`Could not revert: ${error.message}\n   💡 Revert by hand: wrangler versions deploy ${previous.versionId}@100% --name ${workerName} --yes`);
+  }
+  console.log(`✅ Reverted to ${short(previous.versionId)}`);
+}
+
+async function abortRollout(options, client, workerName, split) {
+  if (split.length < 2) {
+    console.log(`ℹ️  Traffic is not split (${describeSplit(split) || 'no deployment'}); there is nothing to abort.`);
+    return;
+  }
+
+  // Version numbers grow with every upload, so the lower one was deployed first
+  const previous = [...split].sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity))[0];
+  console.log(`🎚️  Current split: ${describeSplit(split)}`);
+  console.log(`   Back to: ${short(previous.versionId)}${previous.tag ? ` (${previous.tag})` : ''}`);
+
+  if (options['dry-run']) {
+    console.log('\n🔍 Dry run: the deployment was not changed.');
+    return;
+  }
+  if (!(await confirm(options, '\nSend all traffic back to it? (y/n): '))) {
+    console.log('❌ Abort cancelled.');
+    return;
+  }
+  await revert(client, workerName, previous, options.message || 'aborted');
+}
+
+// --tag and --message of wrangler versions upload and wrangler deploy
+function getVersionFlags(tag, message) {
+  return [...(tag ? ['--tag', tag] : []), ...(message ? ['--message', message] : [])];
+}
+
+function writeVersionOutput(versionId) {
+  if (process.env.GITHUB_OUTPUT && versionId) {
+    appendFileSync(process.env.GITHUB_OUTPUT, `version_id=${versionId}\n`);
+  }
+}
+
+/**
+ * A Worker without a deployment has no version to shift traffic from or to
+ * revert to, so its first version gets all traffic at once: the given
+ * version through the API, or else a plain `wrangler deploy`. The health
+ * check still runs, and fails the run, but there is nothing to revert.
+ */
+async function deployFirstVersion(options, client, { workerName, file, tag, interval, healthUrl, timeoutMs, checks }) {
+  console.log(`ℹ️  ${workerName} has no deployment yet, so there is nothing to roll out from.`);
+  console.log(`  ${options['version-id'] ? `Version ${short(options['version-id'])}` : `A deploy of ${file}`} gets all traffic at once.`);
+  console.log(`  Health check: ${checks} × ${healthUrl}`);
+
+  if (options['dry-run']) {
+    console.log('\n🔍 Dry run: nothing was uploaded or deployed.');
+    return;
+  }
+  if (!(await confirm(options, '\nDeploy it? (y/n): '))) {
+    console.log('❌ Deployment cancelled.');
+    return;
+  }
+
+  let versionId = options['version-id'];
+  if (versionId) {
+    await client.createDeployment(workerName, [{ versionId, percentage: 100 }], { message: options.message || 'First deployment' });
+  } else {
+    console.log('\n🚀 Deploying...');
+    versionId = parseUploadedVersionId(runWrangler(['deploy', '--config', file, ...getVersionFlags(tag, options.message)]));
+  }
+  writeVersionOutput(versionId);
+  console.log(`✅ Deployed${versionId ? ` version ${versionId}` : ''}`);
+
+  if (interval > 0) {
+    console.log(`⏳ Waiting ${interval} s before the health check...`);
+    await sleep(interval);
+  }
+  const failures = await checkHealth(healthUrl, {}, checks, timeoutMs);
+  if (failures.length > 0) {
+    fail(`Health check failed: ${failures.length}/${checks} request(s) failed (${[...new Set(failures)].join(', ')}). There is no earlier version to revert to.`);
+  }
+  console.log(`✅ Healthy: ${checks}/${checks} request(s) succeeded`);
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = getScope(options, loadConfig());
+  const env = findEnvironment(config.environments, options.env.toLowerCase());
+  if (!env) {
+    fail(`Invalid environment "${options.env}". Must be one of: ${config.environments.map(candidate => `"${candidate.name}"`).join(', ')}.`);
+  }
+
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  if (!token) {
+    fail('No API token to deploy versions with. Set CLOUDFLARE_API_TOKEN, or run: wrangler login');
+  }
+  // wrangler picks the account from the environment
+  if (config.accountId && !process.env.CLOUDFLARE_ACCOUNT_ID) {
+    process.env.CLOUDFLARE_ACCOUNT_ID = config.accountId;
+  }
+  const client = new CloudflareClient({ token, accountId });
+
+  // The Worker is the one the wrangler config names, which is where versions are uploaded
+  const file = options.config || getWranglerConfigFile(env, readWorkflowInputs(env));
+  const wrangler = readWranglerConfig(file);
+  const workerName = (wrangler && wrangler.name) || getWorkerName(env, config.serviceName);
+
+  console.log(`🎚️  Rollout to ${env.label} (${workerName})\n`);
+  let split = [];
+  try {
+    ({ split } = await getVersionSplit(client, workerName));
+  } catch (error) {
+    // A Worker that was never deployed has no deployments to list
+    if (!(error instanceof CloudflareNotFoundError)) throw error;
+  }
+
+  if (options.abort) {
+    await abortRollout(options, client, workerName, split);
+    return;
+  }
+
+  if (!wrangler && !options['version-id']) {
+    fail(`${file} not found. Pass --config <file>, or --version-id to roll out an uploaded version.`);
+  }
+
+  // A split in progress is only resumed for the version it is rolling out
+  let previous = split[0];
+  let current = 0;
+  if (split.length > 1) {
+    const ongoing = split.find(entry => entry.versionId === options['version-id']);
+    if (!ongoing) {
+      fail(`Traffic is already split: ${describeSplit(split)}.\n` +
+        '   💡 Resume that rollout with --version-id <id of the new version>, or send all traffic back with --abort');
+    }
+    previous = split.find(entry => entry !== ongoing);
+    current = ongoing.percentage;
+  } else if (previous && previous.versionId === options['version-id']) {
+    fail(`Version ${short(previous.versionId)} already has all traffic.`);
+  }
+
+  const steps = (options.steps || config.rollout.steps).filter(step => step > current);
+  const interval = options.interval !== undefined ? Number(options.interval) : config.rollout.intervalSeconds;
+  const baseUrl = (options.url || resolveEnvironmentUrls(env, config).urls[0]).replace(/\/$/, '');
+  const healthUrl = `${baseUrl}${config.rollout.healthPath}`;
+  const timeoutMs = config.probe.timeoutMs || 5000;
+  const tag = options.tag || (process.env.GITHUB_REF_TYPE === 'tag' ? process.env.GITHUB_REF_NAME : null);
+
+  if (split.length === 0) {
+    await deployFirstVersion(options, client, { workerName, file, tag, interval, healthUrl, timeoutMs, checks: config.rollout.checks });
+    return;
+  }
+
+  console.log(`  Config: ${file}`);
+  console.log(`  Current: ${describeSplit(split)}`);
+  console.log(`  New version: ${options['version-id'] ? short(options['version-id']) : `uploaded from ${file}`}${tag ? ` (${tag})` : ''}`);
+  console.log(`  Steps: ${steps.map(step => `${step}%`).join(' → ')}, ${interval} s apart`);
+  console.log(`  Health check: ${config.rollout.checks} × ${healthUrl}`);
+
+  if (options['dry-run']) {
+    console.log('\n🔍 Dry run: nothing was uploaded or deployed.');
+    return;
+  }
+  if (!(await confirm(options, '\nStart the rollout? (y/n): '))) {
+    console.log('❌ Rollout cancelled.');
+    return;
+  }
+
+  let versionId = options['version-id'];
+  if (!versionId) {
+    console.log('\n📤 Uploading the new version...');
+    const output = runWrangler(['versions', 'upload', '--config', file, ...getVersionFlags(tag, options.message)]);
+    versionId = parseUploadedVersionId(output);
+    if (!versionId) {
+      fail(`wrangler did not report the uploaded version's ID:\n${output}`);
+    }
+    console.log(`✅ Uploaded version ${versionId}`);
+  }
+  if (versionId === previous.versionId) {
+    fail(`Version ${short(versionId)} is the one being replaced; there is nothing to roll out.`);
+  }
+  writeVersionOutput(versionId);
+
+  const headers = getVersionOverrideHeaders(workerName, versionId);
+  for (const step of steps) {
+    const versions = step === 100
+      ? [{ versionId, percentage: 100 }]
+      : [{ versionId, percentage: step }, { versionId: previous.versionId, percentage: 100 - step }];
+    try {
+      await client.createDeployment(workerName, versions, { message: `${options.message || 'Rollout'}: ${step}%${tag ? ` of ${tag}` : ''}` });
+    } catch (error) {
+      console.error(`❌ Could not shift traffic to ${step}%: ${error.message}`);
+      await revert(client, workerName, previous, `deployment at ${step}% failed`);
+      process.exit(1);
+    }
+    console.log(`\n🚦 ${step}% of traffic on ${short(versionId)}`);
+
+    if (interval > 0) {
+      console.log(`⏳ Waiting ${interval} s before the health check...`);
+      await sleep(interval);
+    }
+
+    const failures = await checkHealth(healthUrl, headers, config.rollout.checks, timeoutMs);
+    if (failures.length > 0) {
+      console.error(`❌ Health check failed at ${step}%: ${failures.length}/${config.rollout.checks} request(s) failed (${[...new Set(failures)].join(', ')})`);
+      await revert(client, workerName, previous, `health check failed at ${step}%`);
+      process.exit(1);
+    }
+    console.log(`✅ Healthy: ${config.rollout.checks}/${config.rollout.checks} request(s) succeeded`);
+  }
+
+  console.log(`\n🎉 Rollout complete: ${short(versionId)} has all traffic on ${env.label}`);
+}
+
+main()
+  .catch((error) => fail(error.message))
+  .finally(() => rl?.close());
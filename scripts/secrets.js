@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { CloudflareClient, getApiToken } from './lib/cloudflare.js';
+import { loadConfig } from './lib/config.js';
+import { findEnvironment } from './lib/environments.js';
+import { getSecretsInventory, isGitIgnored, readSecretsFile, uploadSecrets } from './lib/secrets.js';
+import { getServiceScope } from './lib/services.js';
+
+const USAGE = `Usage: node scripts/secrets.js [options]
+
+Lists the secrets of each environment's Worker and compares them with the
+requiredSecrets in worker-config.json. Exits 1 when a required secret is missing.
+
+Options:
+  --service <name>     Service whose Workers to check, when worker-config.json
+                       lists services (values in .secrets.<service>.<env>)
+  --env <name>         Only this environment (default: all)
+  --push               Upload the values in .secrets.<env> with wrangler secret bulk
+  --missing-only       With --push, only upload secrets the Worker does not have yet
+  -y, --yes            With --push, upload without asking
+  --format <format>    Output format: text (default) or json
+  -h, --help           Show this help`;
+
+let rl = null;
+let jsonOutput = false;
+
+function question(prompt) {
+  // Created lazily so that non-interactive runs never hold stdin open
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => {
+    rl.question(prompt, resolve);
+  });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseOptions() {
+  try {
+    const { values } = parseArgs({
+      options: {
+        service: { type: 'string' },
+        env: { type: 'string' },
+        push: { type: 'boolean', default: false },
+        'missing-only': { type: 'boolean', default: false },
+        yes: { type: 'boolean', short: 'y', default: false },
+        format: { type: 'string', default: 'text' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    if (!['text', 'json'].includes(values.format)) {
+      throw new Error(`Invalid --format "${values.format}". Must be one of: text, json`);
+    }
+    if ((values['missing-only'] || values.yes) && !values.push) {
+      throw new Error('--missing-only and --yes require --push');
+    }
+    if (values.push && values.format === 'json' && !values.yes) {
+      throw new Error('--push with --format json cannot prompt; add --yes');
+    }
+    return values;
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+// Progress goes to stderr with --format json, so stdout stays parseable
+function log(message = '') {
+  if (jsonOutput) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+async function pushSecrets(inventory, options) {
+  for (const entry of inventory) {
+    const values = readSecretsFile(entry.file);
+    if (values === null) {
+      log(`ℹ️  ${entry.env.name}: no ${entry.file}, skipping`);
+      continue;
+    }
+    if (!isGitIgnored(entry.file)) {
+      fail(`${entry.file} is not git-ignored. Add ".secrets.*" to .gitignore before storing secret values in it.`);
+    }
+    if (entry.present === null) {
+      log(`⚠️  ${entry.env.name}: Worker ${entry.workerName} does not exist yet; deploy it once, then push its secrets`);
+      continue;
+    }
+
+    const unknown = Object.keys(values).filter(name => !entry.required.includes(name));
+    if (unknown.length > 0) {
+      log(`⚠️  ${entry.file} has secrets that are not in requiredSecrets: ${unknown.join(', ')}`);
+    }
+
+    const names = Object.keys(values).filter(name => !options['missing-only'] || !entry.present.includes(name));
+    if (names.length === 0) {
+      log(`✅ ${entry.env.name}: nothing to upload`);
+      continue;
+    }
+
+    // Only names are ever shown; the values go straight to wrangler
+    log(`⬆️  ${entry.workerName}: ${names.join(', ')}`);
+    if (!options.yes) {
+      const answer = await question(`Upload ${names.length} secret(s) to ${entry.workerName}? (y/n): `);
+      if (answer.toLowerCase() !== 'y') {
+        log('   Skipped');
+        continue;
+      }
+    }
+    uploadSecrets(entry.workerName, Object.fromEntries(names.map(name => [name, values[name]])));
+    log(`✅ Uploaded ${names.length} secret(s) to ${entry.workerName}`);
+  }
+  log('');
+}
+
+function renderText(inventory, config) {
+  console.log(`🔐 Secrets for ${config.serviceName}\n`);
+
+  const names = [...new Set(inventory.flatMap(entry => [...entry.required, ...(entry.present || [])]))].sort();
+  if (names.length === 0) {
+    console.log('No secrets are set or required.');
+    console.log('💡 List the secrets your Worker needs in "requiredSecrets" in worker-config.json');
+  } else {
+    const cell = (entry, name) => {
+      const present = (entry.present || []).includes(name);
+      if (entry.required.includes(name)) return present ? 'ok' : 'MISSING';
+      return present ? 'extra' : '-';
+    };
+    const rows = [
+      ['SECRET', ...inventory.map(entry => entry.env.name.toUpperCase())],
+      ...names.map(name => [name, ...inventory.map(entry => cell(entry, name))])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    for (const row of rows) {
+      console.log(`   ${row.map((text, column) => text.padEnd(widths[column])).join('  ').trimEnd()}`);
+    }
+  }
+  console.log('');
+
+  for (const entry of inventory) {
+    if (entry.present === null) {
+      console.log(`⚠️  ${entry.workerName} does not exist yet`);
+    }
+    if (entry.missing.length > 0) {
+      console.log(`❌ ${entry.env.label} (${entry.workerName}) is missing ${entry.missing.join(', ')}`);
+      const service = entry.env.service ? ` --service ${entry.env.service}` : '';
+      console.log(`   💡 Add them to ${entry.file} and run: npm run secrets -- --push${service} --env ${entry.env.name}`);
+    }
+  }
+  if (inventory.every(entry => entry.missing.length === 0)) {
+    console.log('✅ Every environment has its required secrets');
+  }
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  jsonOutput = options.format === 'json';
+
+  const config = getServiceScope(loadConfig(), options.service);
+  let environments = config.environments;
+  if (options.env) {
+    const env = findEnvironment(config.environments, options.env);
+    if (!env) {
+      const names = config.environments.map(candidate => `"${candidate.name}"`);
+      fail(`Invalid environment "${options.env}". Must be one of: ${names.join(', ')}.`);
+    }
+    environments = [env];
+  }
+
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID || config.accountId;
+  const token = getApiToken();
+  if (!token) {
+    fail('No API token to list secrets with. Set CLOUDFLARE_API_TOKEN, or run: wrangler login');
+  }
+  if (!accountId) {
+    fail('No Cloudflare account ID. Set CLOUDFLARE_ACCOUNT_ID or add accountId to worker-config.json');
+  }
+  const client = new CloudflareClient({ token, accountId });
+  // wrangler secret bulk picks the account from the environment
+  if (config.accountId && !process.env.CLOUDFLARE_ACCOUNT_ID) {
+    process.env.CLOUDFLARE_ACCOUNT_ID = config.accountId;
+  }
+
+  let inventory = await getSecretsInventory(client, config, environments);
+  if (options.push) {
+    await pushSecrets(inventory, options);
+    inventory = await getSecretsInventory(client, config, environments);
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(inventory.map(entry => ({
+      environment: entry.env.name,
+      worker: entry.workerName,
+      workerExists: entry.present !== null,
+      required: entry.required,
+      present: entry.present || [],
+      missing: entry.missing,
+      extra: entry.extra
+    })), null, 2));
+  } else {
+    renderText(inventory, config);
+  }
+
+  process.exitCode = inventory.some(entry => entry.missing.length > 0) ? 1 : 0;
+}
+
+main()
+  .catch((error) => fail(error.message))
+  .finally(() => rl?.close());